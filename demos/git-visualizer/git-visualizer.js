@@ -5,31 +5,97 @@ class GitRepo {
     constructor() {
         this.commits = [];
         this.branches = {};
-        this.head = 'main';
+        this.tags = {}; // Tag name -> commit id
+        this.annotatedTags = {}; // Tag name -> tag object { fullHash, message, tagger, timestamp } (git tag -a)
+        this.head = 'main'; // Current branch, or null when HEAD is detached
+        this.detachedHead = null; // Commit HEAD points at directly while detached
         this.commitCounter = 0;
-        this.stash = [];
+        this.stash = []; // Stash entries { id, message }, newest first, like the refs/stash reflog
+        this.index = {}; // Staging area: path -> lines
+        this.workdir = {}; // Working directory: path -> lines
+        this.mergeState = null; // Set while a merge is stopped on conflicts
+        this.rebaseState = null; // Set while a rebase is replaying commits
+        this.bisect = null; // Set while bisecting: { start, startId, bad, good, skip, log }
+        this.testSuite = null; // Scenario test for bisect: { command, name, path, bug, failure }
+        this.reflogs = {}; // Ref name (HEAD or a branch) -> entries, newest first
+        this.remotes = {}; // Remote name -> simulated remote repository (a GitRepo)
+        this.remoteRefs = {}; // Remote-tracking refs such as origin/main -> commit id
+        this.upstreams = {}; // Local branch -> remote-tracking ref it follows
+        this.author = 'Git Learner <learner@example.com>';
+        this.clock = Date.UTC(2026, 0, 1, 9, 0, 0); // Logical clock: one minute per commit
     }
 
-    createCommit(message, branch, parents = null) {
+    // A null branch commits onto the detached HEAD instead
+    createCommit(message, branch, parents = null, tree = null) {
+        const tip = branch ? this.branches[branch] : this.detachedHead;
+        const commit = this.writeCommit(message, branch, parents || (tip ? [tip] : []), tree);
+        if (branch) {
+            this.branches[branch] = commit.id;
+        } else {
+            this.detachedHead = commit.id;
+        }
+        return commit;
+    }
+
+    // Store a commit object without moving any ref (stash commits are made this way)
+    writeCommit(message, branch, parents, tree = null) {
+        const firstParent = this.findCommit(parents[0]);
         const commit = {
             id: `c${this.commitCounter++}`,
-            hash: this.generateHash(),
             message: message,
             branch: branch,
-            parents: parents || (this.branches[branch] ? [this.branches[branch]] : []),
-            timestamp: Date.now()
+            parents: parents,
+            tree: tree || (firstParent ? { ...firstParent.tree } : {}),
+            author: this.author,
+            timestamp: this.tick()
         };
+        commit.fullHash = this.hashCommit(commit);
+        commit.hash = commit.fullHash.substring(0, 7);
         this.commits.push(commit);
-        this.branches[branch] = commit.id;
         return commit;
     }
 
-    generateHash() {
-        return Math.random().toString(36).substring(2, 9);
+    tick() {
+        this.clock += 60 * 1000;
+        return this.clock;
+    }
+
+    // Hash the commit exactly as git would: the same tree, parents, author,
+    // time and message always give the same id, and any change gives a new one
+    hashCommit(commit) {
+        const seconds = Math.floor(commit.timestamp / 1000);
+        const lines = [`tree ${hashTree(commit.tree)}`];
+        commit.parents.forEach(id => lines.push(`parent ${this.findCommit(id).fullHash}`));
+        lines.push(`author ${commit.author} ${seconds} +0000`);
+        lines.push(`committer ${commit.author} ${seconds} +0000`);
+        return hashObject('commit', utf8(`${lines.join('\n')}\n\n${commit.message}\n`));
     }
 
     getCurrentCommit() {
-        return this.commits.find(c => c.id === this.branches[this.head]);
+        return this.findCommit(this.headId());
+    }
+
+    headId() {
+        return this.head ? this.branches[this.head] : this.detachedHead;
+    }
+
+    // Move whatever HEAD points at: the current branch, or HEAD itself when detached
+    moveHead(id) {
+        if (this.head) {
+            this.branches[this.head] = id;
+        } else {
+            this.detachedHead = id;
+        }
+    }
+
+    attachHead(branch) {
+        this.head = branch;
+        this.detachedHead = null;
+    }
+
+    detachHead(id) {
+        this.head = null;
+        this.detachedHead = id;
     }
 
     findCommit(id) {
@@ -39,384 +105,5169 @@ class GitRepo {
     getBranchTip(branch) {
         return this.branches[branch];
     }
-}
 
-class GitVisualizer {
-    constructor() {
-        this.canvas = document.getElementById('gitCanvas');
-        this.ctx = this.canvas.getContext('2d');
-        this.repo = new GitRepo();
-        this.commandLog = [];
-        
-        this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
-        
-        this.loadScenario('basic');
+    recordReflog(ref, id, message) {
+        if (!id) return;
+        (this.reflogs[ref] = this.reflogs[ref] || []).unshift({ id: id, message: message });
     }
 
-    resizeCanvas() {
-        this.canvas.width = this.canvas.offsetWidth;
-        this.canvas.height = this.canvas.offsetHeight;
-        this.draw();
+    refSnapshot() {
+        return { head: this.head, headId: this.headId(), branches: { ...this.branches } };
     }
 
-    loadScenario(scenario) {
-        this.repo = new GitRepo();
-        this.commandLog = [];
-        
-        switch(scenario) {
-            case 'basic':
-                this.setupBasicScenario();
-                break;
-            case 'conflict':
-                this.setupConflictScenario();
-                break;
-            case 'hotfix':
-                this.setupHotfixScenario();
-                break;
-            case 'complex':
-                this.setupComplexScenario();
-                break;
+    // Compare refs against an earlier snapshot and log every one that moved
+    recordRefUpdates(before, message) {
+        Object.keys(this.branches).forEach(branch => {
+            if (before.branches[branch] === this.branches[branch]) return;
+            this.recordReflog(
+                branch,
+                this.branches[branch],
+                before.branches[branch] === undefined ? `branch: Created from ${before.head || 'HEAD'}` : message
+            );
+        });
+        // Deleting a branch deletes its reflog, as in git
+        Object.keys(this.reflogs).forEach(ref => {
+            if (ref !== 'HEAD' && !(ref in this.branches)) delete this.reflogs[ref];
+        });
+        if (this.head !== before.head || this.headId() !== before.headId) {
+            this.recordReflog('HEAD', this.headId(), message);
         }
-        
-        this.updateDisplay();
-        this.logCommand('Loaded scenario', `Initialized ${scenario} scenario`);
     }
 
-    setupBasicScenario() {
-        // Main branch
-        this.repo.createCommit('Initial commit', 'main', []);
-        this.repo.createCommit('Add README', 'main');
-        this.repo.createCommit('Setup project structure', 'main');
-        
-        // Feature branch diverges
-        const featureStart = this.repo.getBranchTip('main');
-        this.repo.branches['feature'] = featureStart;
-        this.repo.createCommit('Start feature development', 'feature');
-        this.repo.createCommit('Implement feature logic', 'feature');
-        
-        // Main continues
-        this.repo.head = 'main';
-        this.repo.createCommit('Fix bug in production', 'main');
+    // Full repository state as plain data; remotes serialize themselves the same way
+    toJSON() {
+        return {
+            commits: this.commits,
+            branches: this.branches,
+            tags: this.tags,
+            annotatedTags: this.annotatedTags,
+            head: this.head,
+            detachedHead: this.detachedHead,
+            commitCounter: this.commitCounter,
+            stash: this.stash,
+            index: this.index,
+            workdir: this.workdir,
+            mergeState: this.mergeState,
+            rebaseState: this.rebaseState,
+            bisect: this.bisect,
+            testSuite: this.testSuite,
+            reflogs: this.reflogs,
+            remotes: this.remotes,
+            remoteRefs: this.remoteRefs,
+            upstreams: this.upstreams,
+            author: this.author,
+            clock: this.clock
+        };
     }
 
-    setupConflictScenario() {
-        this.repo.createCommit('Initial commit', 'main', []);
-        this.repo.createCommit('Add config.js', 'main');
-        
-        const featureStart = this.repo.getBranchTip('main');
-        this.repo.branches['feature'] = featureStart;
-        
-        this.repo.createCommit('Update config - feature way', 'feature');
-        this.repo.head = 'main';
-        this.repo.createCommit('Update config - main way', 'main');
+    // Repository state as a JSON string (used for undo/redo snapshots)
+    serialize() {
+        return JSON.stringify(this);
     }
 
-    setupHotfixScenario() {
-        this.repo.createCommit('v1.0 release', 'main', []);
-        this.repo.createCommit('v1.1 development', 'main');
-        
-        const featureStart = this.repo.getBranchTip('main');
-        this.repo.branches['feature'] = featureStart;
-        this.repo.createCommit('New feature WIP', 'feature');
-        
-        const hotfixStart = this.repo.commits[0].id; // From v1.0
-        this.repo.branches['hotfix'] = hotfixStart;
-        this.repo.createCommit('Critical security fix', 'hotfix');
+    static deserialize(json) {
+        return GitRepo.fromJSON(JSON.parse(json));
     }
 
-    setupComplexScenario() {
-        this.repo.createCommit('Initial commit', 'main', []);
-        this.repo.createCommit('Add core features', 'main');
-        
-        const featureStart = this.repo.getBranchTip('main');
-        this.repo.branches['feature-a'] = featureStart;
-        this.repo.branches['feature-b'] = featureStart;
-        
-        this.repo.createCommit('Feature A progress', 'feature-a');
-        this.repo.createCommit('Feature B progress', 'feature-b');
-        this.repo.createCommit('Main continues', 'main');
-        this.repo.createCommit('Feature A done', 'feature-a');
+    static fromJSON(data) {
+        const repo = Object.assign(new GitRepo(), data);
+        Object.keys(repo.remotes).forEach(name => {
+            repo.remotes[name] = GitRepo.fromJSON(repo.remotes[name]);
+        });
+        return repo;
     }
 
-    gitCommand(command, arg) {
-        switch(command) {
-            case 'commit':
-                this.doCommit();
-                break;
-            case 'checkout':
-                this.doCheckout(arg);
-                break;
-            case 'branch':
-                this.doBranch(arg);
-                break;
-            case 'merge':
-                this.doMerge(arg);
-                break;
-            case 'rebase':
-                this.doRebase(arg);
-                break;
-            case 'reset':
-                this.doReset(arg);
-                break;
-            case 'cherry-pick':
-                this.doCherryPick();
-                break;
-            case 'amend':
-                this.doAmend();
-                break;
-            case 'revert':
-                this.doRevert();
-                break;
-            case 'stash':
-                this.doStash();
-                break;
-            case 'stash-pop':
-                this.doStashPop();
-                break;
+    // Copy a commit and any missing ancestors from another repository. Objects
+    // are matched by hash, as git transfers them; returns the local id.
+    importCommit(source, id) {
+        const commit = source.findCommit(id);
+        const existing = this.commits.find(c => c.fullHash === commit.fullHash);
+        if (existing) return existing.id;
+
+        const parents = commit.parents.map(parent => this.importCommit(source, parent));
+        const copy = { ...commit, id: `c${this.commitCounter++}`, parents: parents };
+        this.commits.push(copy);
+        return copy.id;
+    }
+
+    // Local id of a commit held by a remote, if it has been fetched
+    localCopy(remote, id) {
+        const commit = remote.findCommit(id);
+        const local = commit && this.commits.find(c => c.fullHash === commit.fullHash);
+        return local ? local.id : null;
+    }
+
+    // Become a clone: every remote branch becomes a remote-tracking ref and the
+    // remote's default branch is checked out, tracking its counterpart
+    cloneFrom(name) {
+        const remote = this.remotes[name];
+        Object.keys(remote.branches).forEach(branch => {
+            this.remoteRefs[`${name}/${branch}`] = this.importCommit(remote, remote.branches[branch]);
+        });
+        Object.keys(remote.tags).forEach(tag => this.copyTag(remote, tag));
+        const branch = remote.branches[remote.head] ? remote.head : Object.keys(remote.branches)[0];
+        if (branch) {
+            this.branches[branch] = this.remoteRefs[`${name}/${branch}`];
+            this.upstreams[branch] = `${name}/${branch}`;
         }
-        this.updateDisplay();
+        this.head = branch || 'main';
     }
 
-    doCommit() {
-        const msg = `New commit on ${this.repo.head}`;
-        this.repo.createCommit(msg, this.repo.head);
-        this.logCommand(`git commit -m "${msg}"`, `Created new commit on ${this.repo.head}`);
+    // Point a tag at a commit; a message makes it an annotated tag, an object of its own
+    createTag(name, id, message = null) {
+        this.tags[name] = id;
+        delete this.annotatedTags[name];
+        if (message === null) return;
+
+        const tag = { message: message, tagger: this.author, timestamp: this.tick() };
+        tag.fullHash = hashTag(name, this.findCommit(id).fullHash, tag);
+        this.annotatedTags[name] = tag;
     }
 
-    doCheckout(branch) {
-        if (this.repo.branches[branch]) {
-            this.repo.head = branch;
-            this.logCommand(`git checkout ${branch}`, `Switched to branch '${branch}'`);
-        } else {
-            this.logCommand(`git checkout ${branch}`, `Error: branch '${branch}' does not exist`, true);
+    deleteTag(name) {
+        delete this.tags[name];
+        delete this.annotatedTags[name];
+    }
+
+    // Copy a tag (and the commit it names) from another repository, as fetch and clone do
+    copyTag(source, name) {
+        this.tags[name] = this.importCommit(source, source.tags[name]);
+        delete this.annotatedTags[name];
+        if (source.annotatedTags[name]) this.annotatedTags[name] = { ...source.annotatedTags[name] };
+        return this.tags[name];
+    }
+
+    // Commits whose hash starts with prefix (at least 4 characters, like git)
+    findByHash(prefix) {
+        if (prefix.length < 4) return [];
+        return this.commits.filter(c => c.fullHash.startsWith(prefix.toLowerCase()));
+    }
+
+    // Resolve a revision expression such as main~2^2, HEAD@{1} or a short hash.
+    // Returns a commit id, or null when the expression names nothing.
+    resolveRevision(expr) {
+        const match = /^(.*?)((?:[~^]\d*)*)$/.exec(expr);
+        let id = this.resolveRef(match[1]);
+
+        for (const op of match[2].match(/[~^]\d*/g) || []) {
+            const n = op.length > 1 ? parseInt(op.slice(1), 10) : 1;
+            if (op[0] === '~') {
+                for (let i = 0; i < n && id; i++) {
+                    const commit = this.findCommit(id);
+                    id = commit.parents[0];
+                }
+            } else if (n > 0 && id) {
+                id = this.findCommit(id).parents[n - 1];
+            }
         }
+        return id || null;
     }
 
-    doBranch(name) {
-        if (!this.repo.branches[name]) {
-            this.repo.branches[name] = this.repo.getBranchTip(this.repo.head);
-            this.logCommand(`git branch ${name}`, `Created new branch '${name}' from ${this.repo.head}`);
-        } else {
-            this.logCommand(`git branch ${name}`, `Error: branch '${name}' already exists`, true);
+    resolveRef(name) {
+        // <ref>@{n}: where the ref was n moves ago; bare @{n} means the current branch
+        const reflogMatch = /^(.*)@\{(\d+)\}$/.exec(name);
+        if (reflogMatch) {
+            const ref = reflogMatch[1] === '@' ? 'HEAD' : (reflogMatch[1] || this.head || 'HEAD');
+            const entries = ref === 'stash' ? this.stash : (this.reflogs[ref] || []);
+            const entry = entries[parseInt(reflogMatch[2], 10)];
+            return entry ? entry.id : null;
+        }
+        // <branch>@{upstream}: the remote-tracking ref the branch follows
+        const upstreamMatch = /^(.*)@\{(u|upstream)\}$/.exec(name);
+        if (upstreamMatch) {
+            const upstream = this.upstreams[upstreamMatch[1] || this.head];
+            return upstream ? this.remoteRefs[upstream] || null : null;
         }
+        if (name === 'HEAD' || name === '@') return this.headId();
+        if (name === 'stash') return this.stash.length ? this.stash[0].id : null;
+        // <tag>^{} peels an annotated tag to its commit, which is what a tag resolves to here anyway
+        const peel = /^(.+)\^\{(commit)?\}$/.exec(name);
+        if (peel) return this.resolveRef(peel[1]);
+        // Tags win over branches of the same name, as in git's ref lookup order
+        if (this.tags[name]) return this.tags[name];
+        if (this.branches[name]) return this.branches[name];
+        if (this.remoteRefs[name]) return this.remoteRefs[name];
+        const qualified = /^(?:refs\/)?(heads|tags|remotes)\/(.+)$/.exec(name);
+        if (qualified) {
+            const refs = { heads: this.branches, tags: this.tags, remotes: this.remoteRefs }[qualified[1]];
+            if (refs[qualified[2]]) return refs[qualified[2]];
+        }
+
+        const byHash = this.findByHash(name);
+        return byHash.length === 1 ? byHash[0].id : null;
     }
 
-    doMerge(branch) {
-        if (!this.repo.branches[branch]) {
-            this.logCommand(`git merge ${branch}`, `Error: branch '${branch}' does not exist`, true);
-            return;
+    // Commit on top of the branch tip (or given parents) with file changes applied
+    commitChanges(message, branch, changes = {}, parents = null) {
+        const parent = this.findCommit(parents ? parents[0] : (branch ? this.branches[branch] : this.detachedHead));
+        const tree = this.applyChanges(parent ? parent.tree : {}, changes);
+        return this.createCommit(message, branch, parents, tree);
+    }
+
+    // Copy a tree and apply { path: lines } changes; null deletes the path
+    applyChanges(tree, changes) {
+        const result = { ...tree };
+        Object.keys(changes).forEach(path => {
+            if (changes[path] === null) {
+                delete result[path];
+            } else {
+                result[path] = changes[path];
+            }
+        });
+        return result;
+    }
+
+    // All commits reachable from id (including itself)
+    ancestors(id) {
+        const seen = new Set();
+        const queue = id ? [id] : [];
+        while (queue.length) {
+            const current = queue.shift();
+            if (seen.has(current)) continue;
+            seen.add(current);
+            const commit = this.findCommit(current);
+            if (commit) queue.push(...commit.parents);
         }
+        return seen;
+    }
 
-        const currentTip = this.repo.getBranchTip(this.repo.head);
-        const mergeTip = this.repo.getBranchTip(branch);
-        
-        const mergeCommit = this.repo.createCommit(
-            `Merge branch '${branch}' into ${this.repo.head}`,
-            this.repo.head,
-            [currentTip, mergeTip]
-        );
-        
-        this.logCommand(
-            `git merge ${branch}`,
-            `Merged ${branch} into ${this.repo.head} (merge commit: ${mergeCommit.hash})`
-        );
+    isAncestor(ancestorId, id) {
+        return this.ancestors(id).has(ancestorId);
     }
 
-    doRebase(targetBranch) {
-        if (!this.repo.branches[targetBranch]) {
-            this.logCommand(`git rebase ${targetBranch}`, `Error: branch '${targetBranch}' does not exist`, true);
-            return;
+    // Chain of commits walking parents from descendant back to ancestor, returned oldest first
+    pathBetween(ancestorId, descendantId) {
+        const previous = { [descendantId]: null };
+        const queue = [descendantId];
+        while (queue.length) {
+            const current = queue.shift();
+            if (current === ancestorId) break;
+            this.findCommit(current).parents.forEach(parent => {
+                if (!(parent in previous)) {
+                    previous[parent] = current;
+                    queue.push(parent);
+                }
+            });
         }
+        if (!(ancestorId in previous)) return [];
 
-        // Find commits unique to current branch
-        const currentBranch = this.repo.head;
-        const currentTip = this.repo.getBranchTip(currentBranch);
-        const targetTip = this.repo.getBranchTip(targetBranch);
-        
-        // Simplified: just move the branch pointer
-        this.repo.branches[currentBranch] = targetTip;
-        
-        // Create new commits on top
-        const newCommit = this.repo.createCommit(
-            `Rebased commit from ${currentBranch}`,
-            currentBranch
-        );
-        
-        this.logCommand(
-            `git rebase ${targetBranch}`,
-            `Rebased ${currentBranch} onto ${targetBranch} (commits replayed)`
-        );
+        const path = [];
+        for (let id = ancestorId; id; id = previous[id]) path.push(id);
+        return path;
     }
 
-    doReset(mode) {
-        const current = this.repo.getCurrentCommit();
-        if (!current || !current.parents.length) {
-            this.logCommand(`git reset --${mode} HEAD~1`, `Error: no parent commit to reset to`, true);
-            return;
+    // Commits reachable from tip but not from upstream, oldest first (like upstream..tip)
+    commitsBetween(upstream, tip) {
+        const excluded = this.ancestors(upstream);
+        const included = this.ancestors(tip);
+        return this.commits.filter(c => included.has(c.id) && !excluded.has(c.id));
+    }
+
+    // The commit set revision arguments select, as git log and rev-list read them:
+    // A..B is ^A B, A...B is A B minus their merge bases, an omitted side is HEAD.
+    // Returns { ids, left } (left: the A side of A...B) or { error: word }.
+    revisionRange(words, starts = []) {
+        const include = [...starts];
+        const exclude = [];
+        let left = null;
+        for (const word of words) {
+            const range = /^(.*?)(\.\.\.?)(.*)$/.exec(word);
+            const negated = !range && word.startsWith('^');
+            const revs = range ? [range[1] || 'HEAD', range[3] || 'HEAD'] : [negated ? word.slice(1) : word];
+            const ids = revs.map(rev => this.resolveRevision(rev));
+            if (ids.includes(null)) return { error: word };
+
+            if (!range) {
+                (negated ? exclude : include).push(ids[0]);
+            } else if (range[2] === '..') {
+                exclude.push(ids[0]);
+                include.push(ids[1]);
+            } else {
+                include.push(...ids);
+                const base = this.mergeBase(ids[0], ids[1]);
+                if (base) exclude.push(base);
+                left = this.ancestors(ids[0]);
+            }
         }
 
-        const parent = current.parents[0];
-        this.repo.branches[this.repo.head] = parent;
-        
-        this.logCommand(
-            `git reset --${mode} HEAD~1`,
-            `Reset ${this.repo.head} to ${parent} (${mode === 'hard' ? 'working directory updated' : 'index preserved'})`
+        const excluded = new Set();
+        exclude.forEach(id => this.ancestors(id).forEach(c => excluded.add(c)));
+        const ids = new Set();
+        include.forEach(id => this.ancestors(id).forEach(c => {
+            if (!excluded.has(c)) ids.add(c);
+        }));
+        return { ids, left: left && new Set([...ids].filter(id => left.has(id))) };
+    }
+
+    // Commits still suspected during a bisect, newest first: reachable from the
+    // bad commit (itself included) but not from any commit marked good
+    bisectCandidates() {
+        if (!this.bisect || !this.bisect.bad) return [];
+        const cleared = new Set();
+        this.bisect.good.forEach(id => this.ancestors(id).forEach(c => cleared.add(c)));
+        const suspects = this.ancestors(this.bisect.bad);
+        return this.commits.filter(c => suspects.has(c.id) && !cleared.has(c.id)).reverse();
+    }
+
+    // The candidate git bisect checks out next: the one whose verdict halves the
+    // range most evenly, since good clears its ancestors and bad clears the rest.
+    // Returns null once only the bad commit and skipped ones are left.
+    bisectMidpoint(candidates) {
+        const inRange = new Set(candidates.map(c => c.id));
+        let best = null;
+        candidates.forEach(commit => {
+            if (commit.id === this.bisect.bad || this.bisect.skip.includes(commit.id)) return;
+            const weight = [...this.ancestors(commit.id)].filter(id => inRange.has(id)).length;
+            const score = Math.min(weight, candidates.length - weight);
+            if (!best || score > best.score) best = { commit, weight, score };
+        });
+        return best;
+    }
+
+    // Everything reachable from a branch, tag, remote-tracking ref, stash or HEAD; the rest is dangling history
+    reachableFromRefs() {
+        const reachable = new Set();
+        const refs = [...Object.values(this.branches), ...Object.values(this.tags), ...Object.values(this.remoteRefs),
+            ...this.stash.map(e => e.id)];
+        [...refs, this.headId()].forEach(id => {
+            this.ancestors(id).forEach(c => reachable.add(c));
+        });
+        return reachable;
+    }
+
+    // Overwrite index and working directory with a tree, as reset --hard does;
+    // untracked files survive unless the tree has a file at the same path
+    checkoutTree(tree) {
+        const untracked = {};
+        Object.keys(this.workdir).forEach(path => {
+            if (!(path in this.index)) untracked[path] = this.workdir[path];
+        });
+        this.index = { ...tree };
+        this.workdir = { ...untracked, ...tree };
+    }
+
+    // Paths with staged or unstaged changes, optionally counting untracked files
+    dirtyPaths(includeUntracked = true) {
+        const head = this.getCurrentCommit().tree;
+        const paths = new Set([...Object.keys(head), ...Object.keys(this.index), ...Object.keys(this.workdir)]);
+        return [...paths].filter(path => {
+            if (!includeUntracked && !(path in this.index) && !(path in head)) return false;
+            return !sameLines(head[path], this.index[path]) || !sameLines(this.index[path], this.workdir[path]);
+        }).sort();
+    }
+
+    // Local changes that switching HEAD to targetId would overwrite: git only
+    // carries a change across when both commits agree on that file
+    blockedPaths(targetId) {
+        const from = this.getCurrentCommit().tree;
+        const to = this.findCommit(targetId).tree;
+        return this.dirtyPaths().filter(path => !sameLines(from[path], to[path]));
+    }
+
+    // Update index and working directory for a switch to targetId, keeping local changes
+    carryOver(targetId) {
+        const from = this.getCurrentCommit().tree;
+        const to = this.findCommit(targetId).tree;
+        new Set([...Object.keys(from), ...Object.keys(to)]).forEach(path => {
+            if (sameLines(from[path], to[path])) return;
+            [this.index, this.workdir].forEach(area => {
+                if (to[path]) {
+                    area[path] = to[path];
+                } else {
+                    delete area[path];
+                }
+            });
+        });
+    }
+
+    // Commits that only HEAD at id keeps alive once HEAD moves to newHead, newest first
+    commitsLeftBehind(id, newHead) {
+        const kept = this.ancestors(newHead);
+        Object.values(this.branches).forEach(tip => this.ancestors(tip).forEach(c => kept.add(c)));
+        const lost = this.ancestors(id);
+        return this.commits.filter(c => lost.has(c.id) && !kept.has(c.id)).reverse();
+    }
+
+    // Best common ancestor: a common ancestor that is not an ancestor of another one
+    mergeBase(a, b) {
+        const fromA = this.ancestors(a);
+        const common = [...this.ancestors(b)].filter(id => fromA.has(id));
+        const best = common.filter(id =>
+            !common.some(other => other !== id && this.isAncestor(id, other))
         );
+        return best.length ? best[0] : null;
     }
 
-    doCherryPick() {
-        // Find a commit from another branch
-        const otherBranches = Object.keys(this.repo.branches).filter(b => b !== this.repo.head);
-        if (!otherBranches.length) {
-            this.logCommand(`git cherry-pick`, `No other branches to cherry-pick from`, true);
-            return;
+    // Three-way merge of whole trees. Returns the merged tree and conflicted paths.
+    mergeTrees(base, ours, theirs, oursLabel = 'HEAD', theirsLabel = 'theirs') {
+        const tree = {};
+        const conflicts = [];
+        const paths = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+
+        [...paths].sort().forEach(path => {
+            const b = base[path];
+            const o = ours[path];
+            const t = theirs[path];
+
+            if (sameLines(o, t)) {
+                if (o) tree[path] = o;
+            } else if (sameLines(o, b)) {
+                if (t) tree[path] = t;
+            } else if (sameLines(t, b)) {
+                if (o) tree[path] = o;
+            } else if (!o || !t) {
+                // Modified on one side, deleted on the other: keep the surviving content
+                tree[path] = o || t;
+                conflicts.push(path);
+            } else {
+                const merged = mergeLines(b || [], o, t, oursLabel, theirsLabel);
+                tree[path] = merged.lines;
+                if (merged.conflict) conflicts.push(path);
+            }
+        });
+
+        return { tree, conflicts };
+    }
+}
+
+// ---- Git object hashing (SHA-1, computed locally) ----
+
+function utf8(text) {
+    return new TextEncoder().encode(text);
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+// Loose object id: sha1("<type> <size>\0<content>")
+function hashObject(type, content) {
+    return sha1(concatBytes([utf8(`${type} ${content.length}\0`), content]));
+}
+
+// Annotated tag object id
+function hashTag(name, commitHash, tag) {
+    const seconds = Math.floor(tag.timestamp / 1000);
+    return hashObject(
+        'tag',
+        utf8(`object ${commitHash}\ntype commit\ntag ${name}\ntagger ${tag.tagger} ${seconds} +0000\n\n${tag.message}\n`)
+    );
+}
+
+// File contents are stored as lines; the blob holds them newline-terminated
+function hashBlob(lines) {
+    return hashObject('blob', utf8(lines.length ? `${lines.join('\n')}\n` : ''));
+}
+
+// A { path: lines } snapshot hashed as nested git tree objects
+function hashTree(tree) {
+    const root = {};
+    Object.keys(tree).forEach(path => {
+        const parts = path.split('/');
+        let dir = root;
+        parts.slice(0, -1).forEach(part => {
+            dir = dir[part] = dir[part] || {};
+        });
+        dir[parts[parts.length - 1]] = tree[path];
+    });
+
+    const writeTree = (dir) => {
+        // git orders entries by name, comparing directories as if they ended in '/'
+        const sortKey = (name) => (Array.isArray(dir[name]) ? name : `${name}/`);
+        const entries = Object.keys(dir).sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : 1)).map(name => {
+            const value = dir[name];
+            const isFile = Array.isArray(value);
+            const id = isFile
+                ? hashBlob(value)
+                : writeTree(value);
+            return concatBytes([utf8(`${isFile ? '100644' : '40000'} ${name}\0`), hexToBytes(id)]);
+        });
+        return hashObject('tree', concatBytes(entries));
+    };
+    return writeTree(root);
+}
+
+function sha1(bytes) {
+    const words = new Uint32Array(80);
+    const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+
+    // Pad to a multiple of 64 bytes with a trailing 64-bit big-endian bit length
+    const padded = new Uint8Array(((bytes.length + 9 + 63) >> 6) << 6);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(padded.length - 4, (bytes.length << 3) >>> 0);
+
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) words[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 80; i++) {
+            const x = words[i - 3] ^ words[i - 8] ^ words[i - 14] ^ words[i - 16];
+            words[i] = (x << 1) | (x >>> 31);
         }
 
-        const targetBranch = otherBranches[0];
-        const commitToPick = this.repo.getBranchTip(targetBranch);
-        const pickedCommit = this.repo.findCommit(commitToPick);
-        
-        if (pickedCommit) {
-            this.repo.createCommit(`Cherry-picked: ${pickedCommit.message}`, this.repo.head);
-            this.logCommand(
-                `git cherry-pick ${pickedCommit.hash}`,
-                `Applied commit ${pickedCommit.hash} to ${this.repo.head}`
-            );
+        let [a, b, c, d, e] = h;
+        for (let i = 0; i < 80; i++) {
+            let f, k;
+            if (i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5a827999;
+            } else if (i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ed9eba1;
+            } else if (i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8f1bbcdc;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xca62c1d6;
+            }
+            const temp = (((a << 5) | (a >>> 27)) + f + e + k + words[i]) >>> 0;
+            e = d;
+            d = c;
+            c = (b << 30) | (b >>> 2);
+            b = a;
+            a = temp;
         }
+        h[0] = (h[0] + a) >>> 0;
+        h[1] = (h[1] + b) >>> 0;
+        h[2] = (h[2] + c) >>> 0;
+        h[3] = (h[3] + d) >>> 0;
+        h[4] = (h[4] + e) >>> 0;
     }
 
-    doAmend() {
-        const current = this.repo.getCurrentCommit();
-        if (current) {
-            current.message = current.message + ' (amended)';
-            current.hash = this.repo.generateHash();
-            this.logCommand(`git commit --amend`, `Amended last commit: ${current.hash}`);
+    return h.map(word => word.toString(16).padStart(8, '0')).join('');
+}
+
+function sameTree(a, b) {
+    const paths = Object.keys(a);
+    return paths.length === Object.keys(b).length && paths.every(path => sameLines(a[path], b[path]));
+}
+
+function sameLines(a, b) {
+    if (a === b) return true;
+    if (!a || !b || a.length !== b.length) return false;
+    return a.every((line, i) => line === b[i]);
+}
+
+// Files added, modified or deleted going from one tree to another, sorted by path
+function treeChanges(from, to) {
+    const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+    return paths
+        .filter(path => !sameLines(from[path], to[path]))
+        .map(path => ({ path, kind: !from[path] ? 'new file' : (!to[path] ? 'deleted' : 'modified') }));
+}
+
+// Paths matched by git pathspecs: exact paths, directories, or '.' for everything
+function matchPaths(pathspecs, paths) {
+    return paths.filter(path => pathspecs.some(spec => {
+        const dir = spec.replace(/\/+$/, '');
+        return spec === '.' || path === dir || path.startsWith(`${dir}/`);
+    }));
+}
+
+// Unified diff of one file with three lines of context, as git diff prints it
+function unifiedDiff(path, a, b) {
+    const before = a || [];
+    const after = b || [];
+    const matches = matchLines(before, after);
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length || j < after.length) {
+        if (i < before.length && matches[i] === j) {
+            ops.push({ type: ' ', text: before[i], oldLine: ++i, newLine: ++j });
+        } else if (i < before.length && matches[i] === undefined) {
+            ops.push({ type: '-', text: before[i], oldLine: ++i, newLine: j });
+        } else {
+            ops.push({ type: '+', text: after[j], oldLine: i, newLine: ++j });
         }
     }
 
-    doRevert() {
-        const current = this.repo.getCurrentCommit();
-        if (current) {
-            this.repo.createCommit(`Revert "${current.message}"`, this.repo.head);
-            this.logCommand(
-                `git revert HEAD`,
-                `Created revert commit for ${current.hash}`
-            );
+    // Group changes into hunks, merging ones whose context would overlap
+    const hunks = [];
+    ops.forEach((op, index) => {
+        if (op.type === ' ') return;
+        const start = Math.max(0, index - 3);
+        const end = Math.min(ops.length, index + 4);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end) {
+            last.end = end;
+        } else {
+            hunks.push({ start, end });
         }
-    }
+    });
+
+    const lines = [`diff --git a/${path} b/${path}`];
+    if (!a) lines.push('new file mode 100644');
+    if (!b) lines.push('deleted file mode 100644');
+    lines.push(a ? `--- a/${path}` : '--- /dev/null', b ? `+++ b/${path}` : '+++ /dev/null');
+    hunks.forEach(({ start, end }) => {
+        const slice = ops.slice(start, end);
+        const oldCount = slice.filter(op => op.type !== '+').length;
+        const newCount = slice.filter(op => op.type !== '-').length;
+        const first = slice[0];
+        const oldStart = first.type === '+' ? first.oldLine + 1 : first.oldLine;
+        const newStart = first.type === '-' ? first.newLine + 1 : first.newLine;
+        lines.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+        slice.forEach(op => lines.push(`${op.type}${op.text}`));
+    });
+    return lines.join('\n');
+}
+
+// git diff --stat: one line per file with a +/- bar, then a summary
+function diffStat(from, to) {
+    const changes = treeChanges(from, to);
+    const width = Math.max(0, ...changes.map(c => c.path.length));
+    let insertions = 0;
+    let deletions = 0;
+    const lines = changes.map(({ path }) => {
+        const a = from[path] || [];
+        const b = to[path] || [];
+        const common = Object.keys(matchLines(a, b)).length;
+        insertions += b.length - common;
+        deletions += a.length - common;
+        const bar = '+'.repeat(Math.min(b.length - common, 30)) + '-'.repeat(Math.min(a.length - common, 30));
+        return ` ${path.padEnd(width)} | ${a.length + b.length - 2 * common} ${bar}`;
+    });
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    lines.push(` ${plural(changes.length, 'file')} changed, ${plural(insertions, 'insertion')}(+), ${plural(deletions, 'deletion')}(-)`);
+    return lines.join('\n');
+}
 
-    doStash() {
-        this.repo.stash.push({ message: 'Stashed changes', timestamp: Date.now() });
-        this.logCommand(`git stash`, `Saved working directory to stash (${this.repo.stash.length} items)`);
+// Longest common subsequence of two line arrays, as a map from a-index to b-index
+function matchLines(a, b) {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
     }
 
-    doStashPop() {
-        if (this.repo.stash.length) {
-            const stashed = this.repo.stash.pop();
-            this.logCommand(`git stash pop`, `Applied and dropped stash@{0}`);
+    const matches = {};
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            matches[i++] = j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
         } else {
-            this.logCommand(`git stash pop`, `Error: no stash entries found`, true);
+            j++;
         }
     }
+    return matches;
+}
 
-    logCommand(command, description, isError = false) {
-        this.commandLog.unshift({ command, description, isError, timestamp: Date.now() });
-        if (this.commandLog.length > 20) this.commandLog.pop();
-        
-        const logContainer = document.getElementById('commandLog');
-        logContainer.innerHTML = this.commandLog.map(entry => `
-            <div class="command-entry" style="${entry.isError ? 'border-left-color: #ff4a4a;' : ''}">
-                <div class="cmd">${entry.command}</div>
-                <div class="desc">${entry.description}</div>
-            </div>
-        `).join('');
-    }
+// Line-level diff3: walk stable regions (lines unchanged on both sides) and
+// resolve the chunks in between, emitting conflict markers where both sides changed
+function mergeLines(base, ours, theirs, oursLabel, theirsLabel) {
+    const toOurs = matchLines(base, ours);
+    const toTheirs = matchLines(base, theirs);
+    const lines = [];
+    let conflict = false;
+    let io = 0;
+    let ia = 0;
+    let ib = 0;
 
-    updateDisplay() {
-        this.draw();
-        this.updateBranchInfo();
+    const resolveChunk = (o, a, b) => {
+        if (sameLines(a, o)) {
+            lines.push(...b);
+        } else if (sameLines(b, o) || sameLines(a, b)) {
+            lines.push(...a);
+        } else {
+            conflict = true;
+            lines.push(`<<<<<<< ${oursLabel}`, ...a, '=======', ...b, `>>>>>>> ${theirsLabel}`);
+        }
+    };
+
+    while (true) {
+        let stable = 0;
+        while (io + stable < base.length &&
+               toOurs[io + stable] === ia + stable &&
+               toTheirs[io + stable] === ib + stable) {
+            stable++;
+        }
+        if (stable > 0) {
+            lines.push(...base.slice(io, io + stable));
+            io += stable;
+            ia += stable;
+            ib += stable;
+            continue;
+        }
+
+        // Next base line that both sides kept
+        let k = io;
+        while (k < base.length && (toOurs[k] === undefined || toTheirs[k] === undefined)) k++;
+
+        if (k === base.length) {
+            resolveChunk(base.slice(io), ours.slice(ia), theirs.slice(ib));
+            break;
+        }
+        resolveChunk(base.slice(io, k), ours.slice(ia, toOurs[k]), theirs.slice(ib, toTheirs[k]));
+        io = k;
+        ia = toOurs[k];
+        ib = toTheirs[k];
+    }
+
+    return { lines, conflict };
+}
+
+// Worst-case verdicts still needed to bisect a range, as git estimates them
+function bisectSteps(count) {
+    if (count < 3) return 0;
+    const n = Math.floor(Math.log2(count));
+    const e = 2 ** n;
+    return e < 3 * (count - e) ? n : n - 1;
+}
+
+// ---- Sessions and authored scenarios ----
+
+const SESSION_FORMAT = 'git-visualizer-session';
+const SCENARIO_FORMAT = 'git-visualizer-scenario';
+const SESSION_VERSION = 1;
+
+// Build a repository from an authored scenario file:
+//   { "format": "git-visualizer-scenario", "name": "...", "head": "main",
+//     "commits": [{ "id": "a", "branch": "main", "from": "...", "parents": ["a", "b"],
+//                   "message": "...", "files": { "path": "text" | ["lines"] | null } }],
+//     "branches": { "name": "commit id or branch" },
+//     "tags": { "v1.0": "commit id or branch", "v2.0": { "commit": "...", "message": "annotated" } },
+//     "test": { "command": "npm test", "name": "...", "path": "...", "bug": "...", "failure": "..." } }
+// Each commit extends its branch. A branch's first commit starts at `from` (a scenario
+// commit id or branch) or is a root commit; `parents` overrides both, e.g. for merges.
+// The optional test fails wherever `path` has a line containing `bug`, for git bisect run.
+function buildScenarioRepo(data) {
+    if (!data.commits || !data.commits.length) throw new Error('a scenario needs at least one commit');
+
+    const repo = new GitRepo();
+    const ids = {}; // Scenario commit ids -> repository commit ids
+    const lookup = (ref) => {
+        const id = ids[ref] || repo.branches[ref];
+        if (!id) throw new Error(`unknown commit or branch '${ref}'`);
+        return id;
+    };
+    data.commits.forEach((spec, n) => {
+        if (!spec.branch || !spec.message) throw new Error(`commit ${n + 1} needs a branch and a message`);
+        if (!isValidBranchName(spec.branch)) throw new Error(`'${spec.branch}' is not a valid branch name`);
+        if (!repo.branches[spec.branch] && spec.from) repo.branches[spec.branch] = lookup(spec.from);
+
+        const changes = {};
+        Object.keys(spec.files || {}).forEach(path => {
+            const content = spec.files[path];
+            changes[path] = typeof content === 'string' ? content.replace(/\n$/, '').split('\n') : content;
+        });
+        const commit = repo.commitChanges(spec.message, spec.branch, changes, spec.parents ? spec.parents.map(lookup) : null);
+        if (spec.id) ids[spec.id] = commit.id;
+    });
+    Object.keys(data.branches || {}).forEach(name => {
+        if (!isValidBranchName(name)) throw new Error(`'${name}' is not a valid branch name`);
+        repo.branches[name] = lookup(data.branches[name]);
+    });
+    Object.keys(data.tags || {}).forEach(name => {
+        if (!isValidBranchName(name)) throw new Error(`'${name}' is not a valid tag name`);
+        const tag = data.tags[name];
+        repo.createTag(name, lookup(typeof tag === 'string' ? tag : tag.commit), typeof tag === 'string' ? null : tag.message);
+    });
+
+    if (data.test) {
+        if (!data.test.command || !data.test.path || !data.test.bug) throw new Error('a test needs a command, a path and a bug');
+        repo.testSuite = { name: data.test.command, failure: `${data.test.bug} found in ${data.test.path}`, ...data.test };
+    }
+
+    repo.head = data.head || data.commits[data.commits.length - 1].branch;
+    if (!repo.branches[repo.head]) throw new Error(`head '${repo.head}' is not a branch`);
+    return repo;
+}
+
+// URL-safe base64 of UTF-8 text, for #session= links
+function encodeBase64Url(text) {
+    let binary = '';
+    utf8(text).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+// ---- Importing real history ----
+
+// Imported history, whichever format it came from:
+//   { commits: [{ key, parents: [keys], message, author, timestamp, tree, fullHash }],
+//     branches, tags, remoteRefs: { name: key }, annotations: { tag: { message, tagger, timestamp, fullHash } },
+//     head, detachedHead }
+
+// A full SHA-1 object name. Imports and restored sessions accept nothing else,
+// so a SHA-256 repository is turned away at import rather than on reload
+const OBJECT_ID = '[0-9a-f]{40}';
+
+function isObjectId(hash) {
+    return new RegExp(`^${OBJECT_ID}$`).test(hash);
+}
+
+// git log --all --format='%H %P %D %s', one commit per line
+function parseGitLog(text) {
+    const history = { commits: [], branches: {}, tags: {}, remoteRefs: {}, annotations: {}, head: null, detachedHead: null };
+    const remotes = new Set(['origin', 'upstream']);
+    const decorated = [];
+    text.split('\n').forEach((line, n) => {
+        if (!line.trim()) return;
+        const match = new RegExp(`^(${OBJECT_ID}) ((?:${OBJECT_ID}(?: ${OBJECT_ID})*)?) (.*)$`).exec(line.replace(/\r$/, ''));
+        if (!match) throw new Error(`line ${n + 1} is not in the '%H %P %D %s' format`);
+
+        // %D is a comma-separated list of "HEAD -> x", "tag: x" or plain ref names; the subject follows
+        const [, hash, parents, rest] = match;
+        const ref = 'HEAD -> [^\\s,]+|tag: [^\\s,]+|[^\\s,]+';
+        const refsMatch = new RegExp(`^((?:${ref})(?:, (?:${ref}))*)? (.*)$`).exec(rest);
+        const refs = refsMatch && refsMatch[1] ? refsMatch[1].split(', ') : [];
+        history.commits.push({
+            key: hash,
+            parents: parents ? parents.split(' ') : [],
+            message: refsMatch ? refsMatch[2] : rest,
+            fullHash: hash
+        });
+        refs.forEach(name => {
+            const remoteHead = /^([^/]+)\/HEAD$/.exec(name);
+            if (remoteHead) remotes.add(remoteHead[1]);
+        });
+        decorated.push({ hash, refs });
+    });
+    if (!history.commits.length) throw new Error('no commits found');
+
+    // A name like origin/main is a remote-tracking ref only if origin is known to be a remote
+    decorated.forEach(({ hash, refs }) => refs.forEach(name => {
+        if (name === 'HEAD') {
+            history.detachedHead = hash;
+        } else if (name.startsWith('HEAD -> ')) {
+            history.head = name.slice(8);
+            history.branches[history.head] = hash;
+        } else if (name.startsWith('tag: ')) {
+            history.tags[name.slice(5)] = hash;
+        } else if (name.includes('/') && remotes.has(name.split('/')[0])) {
+            if (!name.endsWith('/HEAD')) history.remoteRefs[name] = hash;
+        } else {
+            history.branches[name] = hash;
+        }
+    }));
+    // git log lists newest first and not always in topological order
+    history.commits = topologicalOrder(history.commits.reverse());
+    return history;
+}
+
+// Parents before children, otherwise keeping the given (oldest-first) order
+function topologicalOrder(commits) {
+    const byKey = {};
+    commits.forEach(commit => { byKey[commit.key] = commit; });
+    const ordered = [];
+    const seen = new Set();
+    commits.forEach(root => {
+        const stack = [[root, false]];
+        while (stack.length) {
+            const [commit, expanded] = stack.pop();
+            if (expanded) {
+                ordered.push(commit);
+            } else if (!seen.has(commit.key)) {
+                seen.add(commit.key);
+                stack.push([commit, true]);
+                commit.parents.slice().reverse().forEach(key => {
+                    if (byKey[key] && !seen.has(key)) stack.push([byKey[key], false]);
+                });
+            }
+        }
+    });
+    return ordered;
+}
+
+function isFastExport(text) {
+    const first = text.split('\n').find(line => line.trim());
+    return /^(blob|commit|reset|tag|feature|option|progress)\b/.test(first || '');
+}
+
+// git fast-export --all [--show-original-ids]. data counts bytes, so the stream is
+// read as UTF-8 bytes rather than as a string.
+function parseFastExport(text) {
+    const history = { commits: [], branches: {}, tags: {}, remoteRefs: {}, annotations: {}, head: null, detachedHead: null };
+    const bytes = utf8(text);
+    const decoder = new TextDecoder();
+    const blobs = {}; // Mark -> lines
+    const commits = {}; // Mark -> commit
+    const tips = {}; // Ref -> commit, as fast-import tracks branches between commits
+    let pos = 0;
+
+    const peekLine = () => {
+        const end = bytes.indexOf(10, pos);
+        return decoder.decode(bytes.subarray(pos, end === -1 ? bytes.length : end));
+    };
+    const readLine = () => {
+        const line = peekLine();
+        pos += utf8(line).length + 1;
+        return line;
+    };
+    const readData = () => {
+        const header = readLine();
+        const match = /^data (\d+)$/.exec(header);
+        if (!match) throw new Error(`expected 'data <count>', got '${header}'`);
+        const size = parseInt(match[1], 10);
+        const content = decoder.decode(bytes.subarray(pos, pos + size));
+        pos += size;
+        if (bytes[pos] === 10) pos++;
+        return content;
+    };
+    const toLines = (content) => (content.length ? content.replace(/\n$/, '').split('\n') : []);
+    const commitAt = (mark) => {
+        if (!commits[mark]) throw new Error(`unknown commit '${mark}'`);
+        return commits[mark];
+    };
+    const objectId = (value) => {
+        if (!isObjectId(value)) throw new Error(`original-oid '${value}' is not a 40-digit SHA-1 (SHA-256 repositories are not supported)`);
+        return value;
+    };
+    const setRef = (ref, commit) => {
+        tips[ref] = commit;
+        if (ref.startsWith('refs/heads/')) history.branches[ref.slice(11)] = commit.key;
+        if (ref.startsWith('refs/tags/')) history.tags[ref.slice(10)] = commit.key;
+        if (ref.startsWith('refs/remotes/') && !ref.endsWith('/HEAD')) history.remoteRefs[ref.slice(13)] = commit.key;
+    };
+
+    while (pos < bytes.length) {
+        const line = readLine();
+        const [command, ...args] = line.split(' ');
+        if (command === 'blob') {
+            let mark = null;
+            while (!peekLine().startsWith('data ')) {
+                const field = readLine();
+                if (field.startsWith('mark ')) mark = field.slice(5);
+            }
+            const content = readData();
+            if (mark) blobs[mark] = toLines(content);
+        } else if (command === 'commit') {
+            // Without a from line the commit continues whatever the ref last pointed at
+            const ref = args.join(' ');
+            const previous = tips[ref];
+            const commit = {
+                key: `:anonymous${history.commits.length}`,
+                parents: previous ? [previous.key] : [],
+                message: '',
+                author: null,
+                timestamp: null,
+                tree: previous ? { ...previous.tree } : {},
+                fullHash: null
+            };
+            while (pos < bytes.length && peekLine() !== '') {
+                if (peekLine().startsWith('data ')) {
+                    commit.message = readData().replace(/\n$/, '');
+                    continue;
+                }
+                const [name, ...values] = readLine().split(' ');
+                const value = values.join(' ');
+                if (name === 'mark') {
+                    commit.key = value;
+                } else if (name === 'original-oid') {
+                    commit.fullHash = objectId(value);
+                } else if (name === 'author' || name === 'committer') {
+                    const person = /^(.*) (\d+) [+-]\d{4}$/.exec(value);
+                    if (person && (name === 'author' || !commit.author)) {
+                        commit.author = person[1];
+                        commit.timestamp = parseInt(person[2], 10) * 1000;
+                    }
+                } else if (name === 'from') {
+                    const parent = commitAt(value);
+                    commit.parents = [parent.key];
+                    commit.tree = { ...parent.tree };
+                } else if (name === 'merge') {
+                    commit.parents.push(commitAt(value).key);
+                } else if (name === 'M') {
+                    const [mode, dataref, ...rest] = values;
+                    const path = unquotePath(rest.join(' '));
+                    if (mode === '160000') continue; // Submodule links have no contents to show
+                    commit.tree[path] = dataref === 'inline'
+                        ? toLines(readData())
+                        : blobs[dataref] || [`(contents of ${dataref} were not exported)`];
+                } else if (name === 'D') {
+                    delete commit.tree[unquotePath(value)];
+                } else if (name === 'R' || name === 'C') {
+                    const [source, target] = splitPathPair(value);
+                    commit.tree[target] = commit.tree[source];
+                    if (name === 'R') delete commit.tree[source];
+                } else if (name === 'deleteall') {
+                    commit.tree = {};
+                }
+            }
+            commits[commit.key] = commit;
+            history.commits.push(commit);
+            setRef(ref, commit);
+        } else if (command === 'reset') {
+            const ref = args.join(' ');
+            delete tips[ref];
+            if (peekLine().startsWith('from ')) setRef(ref, commitAt(readLine().slice(5)));
+        } else if (command === 'tag') {
+            const name = args.join(' ');
+            const annotation = { message: '', tagger: null, timestamp: null, fullHash: null };
+            let target = null;
+            while (!peekLine().startsWith('data ')) {
+                const [field, ...values] = readLine().split(' ');
+                const value = values.join(' ');
+                const person = /^(.*) (\d+) [+-]\d{4}$/.exec(value);
+                if (field === 'from') target = commitAt(value);
+                if (field === 'original-oid') annotation.fullHash = objectId(value);
+                if (field === 'tagger' && person) {
+                    annotation.tagger = person[1];
+                    annotation.timestamp = parseInt(person[2], 10) * 1000;
+                }
+            }
+            annotation.message = readData().replace(/\n$/, '');
+            if (target) {
+                history.tags[name] = target.key;
+                history.annotations[name] = annotation;
+            }
+        } else if (line !== '' && !['feature', 'option', 'progress', 'checkpoint', 'done'].includes(command)) {
+            throw new Error(`unsupported fast-export command '${command}'`);
+        }
+    }
+    if (!history.commits.length) throw new Error('no commits found');
+    return history;
+}
+
+// fast-export quotes paths with special characters C-style, octal escapes standing for UTF-8 bytes
+function unquotePath(path) {
+    if (!path.startsWith('"')) return path;
+    const bytes = [];
+    const escapes = { n: 10, t: 9, '"': 34, '\\': 92, a: 7, b: 8, f: 12, r: 13, v: 11 };
+    for (let i = 1; i < path.length - 1; i++) {
+        if (path[i] !== '\\') {
+            bytes.push(...utf8(path[i]));
+        } else if (/[0-7]/.test(path[i + 1])) {
+            bytes.push(parseInt(path.substr(i + 1, 3), 8));
+            i += 3;
+        } else {
+            bytes.push(escapes[path[++i]]);
+        }
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+// "<source> <target>" for R and C, where the source is quoted if it contains a space
+function splitPathPair(value) {
+    const quoted = /^("(?:[^"\\]|\\.)*") (.*)$/.exec(value);
+    if (quoted) return [unquotePath(quoted[1]), unquotePath(quoted[2])];
+    const space = value.indexOf(' ');
+    return [value.slice(0, space), unquotePath(value.slice(space + 1))];
+}
+
+// GitRepo from imported history; commits keep their real hashes where the input has them.
+// Parents missing from the input (a log cut off with -n) are dropped and counted.
+function buildImportedRepo(history) {
+    const repo = new GitRepo();
+    const ids = {}; // Input keys -> repository commit ids
+    let dropped = 0;
+
+    // Colour each commit by the first branch (mainline first) whose first-parent line reaches it
+    const byKey = {};
+    history.commits.forEach(commit => { byKey[commit.key] = commit; });
+    const owners = {};
+    const refNames = [...Object.keys(history.branches).sort((a, b) =>
+        (['main', 'master'].includes(b) ? 1 : 0) - (['main', 'master'].includes(a) ? 1 : 0)),
+    ...Object.keys(history.remoteRefs), ...Object.keys(history.tags)];
+    const refKeys = { ...history.tags, ...history.remoteRefs, ...history.branches };
+    refNames.forEach(name => {
+        for (let commit = byKey[refKeys[name]]; commit && !owners[commit.key]; commit = byKey[commit.parents[0]]) {
+            owners[commit.key] = name;
+        }
+    });
+
+    history.commits.forEach(input => {
+        const parents = input.parents.filter(key => ids[key]).map(key => ids[key]);
+        dropped += input.parents.length - parents.length;
+        const commit = {
+            id: `c${repo.commitCounter++}`,
+            message: input.message,
+            branch: owners[input.key] || null,
+            parents: parents,
+            tree: input.tree || {},
+            author: input.author || repo.author,
+            timestamp: input.timestamp || repo.tick()
+        };
+        commit.fullHash = input.fullHash || repo.hashCommit(commit);
+        commit.hash = commit.fullHash.substring(0, 7);
+        repo.commits.push(commit);
+        ids[input.key] = commit.id;
+        repo.clock = Math.max(repo.clock, commit.timestamp);
+    });
+
+    repo.branches = {};
+    Object.keys(history.branches).forEach(name => { repo.branches[name] = ids[history.branches[name]]; });
+    Object.keys(history.tags).forEach(name => {
+        repo.tags[name] = ids[history.tags[name]];
+        const annotation = history.annotations[name];
+        if (!annotation) return;
+        const tag = { message: annotation.message, tagger: annotation.tagger || repo.author, timestamp: annotation.timestamp || repo.tick() };
+        tag.fullHash = annotation.fullHash || hashTag(name, repo.findCommit(repo.tags[name]).fullHash, tag);
+        repo.annotatedTags[name] = tag;
+    });
+    Object.keys(history.remoteRefs).forEach(name => { repo.remoteRefs[name] = ids[history.remoteRefs[name]]; });
+
+    // HEAD: where the log says, else main or master, else the newest commit
+    const fallback = ['main', 'master'].find(name => repo.branches[name]) || Object.keys(repo.branches)[0];
+    if (history.detachedHead && !history.head) {
+        repo.head = null;
+        repo.detachedHead = ids[history.detachedHead];
+    } else if (history.head || fallback) {
+        repo.head = history.head || fallback;
+    } else {
+        repo.head = null;
+        repo.detachedHead = repo.commits[repo.commits.length - 1].id;
+    }
+    return { repo, dropped };
+}
+
+// ---- Challenges ----
+
+// Shape of the history behind a commit, independent of hashes, dates and file
+// contents: subjects and parent structure. Merges match on shape alone, so any
+// merge message (or conflict resolution) is accepted.
+function historyShape(repo, id, memo = {}) {
+    if (!(id in memo)) {
+        const commit = repo.findCommit(id);
+        const label = commit.parents.length > 1 ? '<merge>' : commit.message.split('\n')[0];
+        memo[id] = `${label}(${commit.parents.map(parent => historyShape(repo, parent, memo)).join(',')})`;
+    }
+    return memo[id];
+}
+
+const CHALLENGE_STORAGE_KEY = 'git-visualizer-challenges';
+
+// Best move counts by level id; storage may be unavailable (private browsing)
+function loadChallengeProgress() {
+    try {
+        return JSON.parse(localStorage.getItem(CHALLENGE_STORAGE_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+function saveChallengeProgress(progress) {
+    try {
+        localStorage.setItem(CHALLENGE_STORAGE_KEY, JSON.stringify(progress));
+    } catch (err) {
+        // Progress just isn't remembered
+    }
+}
+
+// Target graphs use the scenario commit format, without file contents. A level is
+// solved when every branch of one of its targets matches; `absent` branches must be gone.
+const BASIC_HISTORY = [
+    { branch: 'main', message: 'Initial commit' },
+    { branch: 'main', message: 'Add README' },
+    { id: 'setup', branch: 'main', message: 'Setup project structure' },
+    { id: 'fix', branch: 'main', message: 'Fix bug in production' }
+];
+
+const CHALLENGES = [
+    {
+        id: 'catch-up',
+        title: 'Catch up without a merge',
+        scenario: 'basic',
+        goal: "Make feature contain main's \"Fix bug in production\" without creating a merge commit.",
+        par: 2,
+        hints: [
+            'A merge commit has two parents. Replaying commits instead keeps the history a straight line.',
+            'Commands act on the current branch, so start by checking out feature.',
+            'git checkout feature, then git rebase main (git cherry-pick main works too).'
+        ],
+        targets: [
+            [...BASIC_HISTORY,
+                { branch: 'feature', from: 'fix', message: 'Start feature development' },
+                { branch: 'feature', message: 'Implement feature logic' }],
+            [...BASIC_HISTORY,
+                { branch: 'feature', from: 'setup', message: 'Start feature development' },
+                { branch: 'feature', message: 'Implement feature logic' },
+                { branch: 'feature', message: 'Cherry-picked: Fix bug in production' }]
+        ]
+    },
+    {
+        id: 'merge-feature',
+        title: 'Land the feature',
+        scenario: 'basic',
+        goal: 'Bring feature into main with a merge commit, keeping both lines of history.',
+        par: 1,
+        hints: [
+            'You are already on main, the branch that should receive the work.',
+            'git merge feature'
+        ],
+        targets: [
+            [...BASIC_HISTORY,
+                { branch: 'feature', from: 'setup', message: 'Start feature development' },
+                { id: 'done', branch: 'feature', message: 'Implement feature logic' },
+                { branch: 'main', parents: ['main', 'done'], message: "Merge branch 'feature'" }]
+        ]
+    },
+    {
+        id: 'resolve-conflict',
+        title: 'Settle the config dispute',
+        scenario: 'conflict',
+        goal: 'Merge feature into main. Both changed config.js, so you will have to resolve a conflict.',
+        par: 3,
+        hints: [
+            'git merge feature stops on the conflict. That is expected, not a failure.',
+            'Edit config.js in the conflict panel (or take one side), then mark it resolved with git add.',
+            'Finish the merge with git commit.'
+        ],
+        targets: [
+            [{ branch: 'main', message: 'Initial commit' },
+                { id: 'config', branch: 'main', message: 'Add config.js' },
+                { id: 'theirs', branch: 'feature', from: 'config', message: 'Update config - feature way' },
+                { branch: 'main', message: 'Update config - main way' },
+                { branch: 'main', parents: ['main', 'theirs'], message: "Merge branch 'feature'" }]
+        ]
+    },
+    {
+        id: 'ship-hotfix',
+        title: 'Ship the hotfix',
+        scenario: 'hotfix',
+        goal: 'Merge the security fix from hotfix into main, then delete the hotfix branch.',
+        par: 4,
+        hints: [
+            'main and hotfix both changed VERSION, so the merge will conflict there.',
+            'Keep main\'s development version when you resolve VERSION, then git add it and git commit.',
+            'A branch that has been merged can be deleted safely with git branch -d hotfix.'
+        ],
+        absent: ['hotfix'],
+        targets: [
+            [{ id: 'release', branch: 'main', message: 'v1.0 release' },
+                { branch: 'main', message: 'v1.1 development' },
+                { branch: 'feature', from: 'main', message: 'New feature WIP' },
+                { id: 'security', branch: 'hotfix', from: 'release', message: 'Critical security fix' },
+                { branch: 'main', parents: ['main', 'security'], message: "Merge branch 'hotfix'" }]
+        ]
+    },
+    {
+        id: 'squash-feature',
+        title: 'One tidy commit',
+        scenario: 'complex',
+        goal: 'Rewrite feature-a as a single commit on top of main. Leave feature-b alone.',
+        par: 2,
+        hints: [
+            'Interactive rebase can move a branch and rewrite its commits in one go.',
+            'git checkout feature-a, then git rebase -i main.',
+            'In the todo list, change the second pick to squash or fixup, then start the rebase.'
+        ],
+        targets: [
+            [{ branch: 'main', message: 'Initial commit' },
+                { id: 'core', branch: 'main', message: 'Add core features' },
+                { branch: 'feature-b', from: 'core', message: 'Feature B progress' },
+                { branch: 'main', message: 'Main continues' },
+                { branch: 'feature-a', from: 'main', message: 'Feature A progress' }]
+        ]
+    }
+];
+
+class GitVisualizer {
+    constructor() {
+        this.canvas = document.getElementById('gitCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.repo = new GitRepo();
+        this.commandLog = [];
+        this.rebaseTodo = null; // Interactive rebase plan being edited
+        this.animation = null; // Tween between recorded frames, drawn by draw()
+        this.frames = null; // Frames recorded while a command runs
+        this.animationSpeed = 1; // Playback speed; 0 turns animations off
+        this.stepThrough = false; // Pause after each phase until "Next step"
+        this.bisectRun = null; // git bisect run stepping through the range
+        this.view = { orientation: 'horizontal', autoFit: true, scale: 1, x: 0, y: 0 };
+        this.drag = null;
+        this.timeline = []; // Serialized repo after every command, for undo/redo
+        this.timelineIndex = -1;
+        this.expandedFiles = new Set(); // Open file views in the three-area panels
+        this.history = []; // Lines typed into the terminal
+        this.historyIndex = 0;
+        this.scenarioName = null;
+        this.customScenarios = {}; // Scenarios loaded from JSON files, by select option value
+        this.challenge = null; // Running challenge level, its target graphs and move count
+        this.inspected = null; // Commit clicked on the graph, shown in the inspector
+        this.rangeQuery = null; // Revision range highlighted on the graph, as typed
+        this.typedLine = null; // Terminal line being run, echoed by its first log entry
+        
+        this.resizeCanvas();
+        window.addEventListener('resize', () => this.resizeCanvas());
+        window.addEventListener('hashchange', () => this.loadSharedSession());
+        this.setupTerminal();
+        this.setupPanZoom();
+        
+        this.loadScenario('basic');
+        this.loadSharedSession();
+    }
+
+    resizeCanvas() {
+        this.canvas.width = this.canvas.offsetWidth;
+        this.canvas.height = this.canvas.offsetHeight;
+        this.draw();
+    }
+
+    // Drag to pan, wheel to zoom around the cursor; either turns off auto-fit.
+    // A click that doesn't drag inspects the commit under the cursor, a double-click checks it out.
+    setupPanZoom() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.drag = { x: e.clientX, y: e.clientY, moved: 0 };
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (!this.drag) return;
+            this.drag.moved += Math.abs(e.clientX - this.drag.x) + Math.abs(e.clientY - this.drag.y);
+            if (this.drag.moved < 4) return;
+            this.view.autoFit = false;
+            this.view.x += e.clientX - this.drag.x;
+            this.view.y += e.clientY - this.drag.y;
+            this.drag = { x: e.clientX, y: e.clientY, moved: this.drag.moved };
+            this.draw();
+        });
+        window.addEventListener('mouseup', (e) => {
+            const clicked = this.drag && this.drag.moved < 4 && e.target === this.canvas;
+            this.drag = null;
+            if (!clicked) return;
+
+            const rect = this.canvas.getBoundingClientRect();
+            const commit = this.commitAt(e.clientX - rect.left, e.clientY - rect.top);
+            if (commit) this.inspect(commit.id);
+        });
+        this.canvas.addEventListener('dblclick', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const commit = this.commitAt(e.clientX - rect.left, e.clientY - rect.top);
+            if (commit) this.gitCommand('checkout', commit.hash);
+        });
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = this.canvas.getBoundingClientRect();
+            this.zoom(e.deltaY < 0 ? 1.15 : 1 / 1.15, e.clientX - rect.left, e.clientY - rect.top);
+        }, { passive: false });
+    }
+
+    // Commit whose node is under a canvas point, if any
+    commitAt(x, y) {
+        if (!this.layout) return null;
+        const gx = (x - this.view.x) / this.view.scale;
+        const gy = (y - this.view.y) / this.view.scale;
+        return this.repo.commits.find(commit => {
+            const pos = this.layout[commit.id];
+            return pos && Math.hypot(pos.x - gx, pos.y - gy) <= 14;
+        }) || null;
+    }
+
+    zoom(factor, cx = this.canvas.width / 2, cy = this.canvas.height / 2) {
+        const scale = Math.max(0.1, Math.min(4, this.view.scale * factor));
+        const applied = scale / this.view.scale;
+        this.view.autoFit = false;
+        this.view.x = cx - (cx - this.view.x) * applied;
+        this.view.y = cy - (cy - this.view.y) * applied;
+        this.view.scale = scale;
+        this.draw();
+    }
+
+    fitToView() {
+        this.view.autoFit = true;
+        this.draw();
+    }
+
+    toggleOrientation() {
+        this.finishAnimation(); // Recorded frames are laid out for the old orientation
+        this.view.orientation = this.view.orientation === 'horizontal' ? 'vertical' : 'horizontal';
+        this.view.autoFit = true;
+        this.draw();
+        this.updateRemotes();
+    }
+
+    // Scale and centre the whole graph (labels included) inside the canvas
+    fitTransform(layout, canvas = this.canvas, view = this.view) {
+        const { minX, maxX, minY, maxY } = this.graphBounds(layout, view.orientation === 'vertical');
+
+        // Leave room for the branch legend in the top-left corner
+        const margin = { left: 140, top: 20, right: 20, bottom: 20 };
+        const available = {
+            width: Math.max(canvas.width - margin.left - margin.right, 50),
+            height: Math.max(canvas.height - margin.top - margin.bottom, 50)
+        };
+        const scale = Math.min(1.5, available.width / (maxX - minX), available.height / (maxY - minY));
+        view.scale = scale;
+        view.x = margin.left + (available.width - (maxX - minX) * scale) / 2 - minX * scale;
+        view.y = margin.top + (available.height - (maxY - minY) * scale) / 2 - minY * scale;
+    }
+
+    // Graph-space box around every node and its labels
+    graphBounds(layout, vertical) {
+        const positions = Object.values(layout);
+        return {
+            minX: Math.min(...positions.map(p => p.x)) - 20,
+            maxX: Math.max(...positions.map(p => (vertical ? p.labelX + 260 : p.x + 60))),
+            minY: Math.min(...positions.map(p => p.y)) - 50,
+            maxY: Math.max(...positions.map(p => p.y + 40))
+        };
+    }
+
+    loadScenario(scenario) {
+        const custom = this.customScenarios[scenario];
+        const name = custom ? custom.name : scenario;
+        this.repo = custom ? buildScenarioRepo(custom) : new GitRepo();
+        this.scenarioName = name;
+        this.challenge = null;
+        this.commandLog = [];
+        this.rebaseTodo = null;
+        this.bisectRun = null;
+        this.inspected = null;
+        this.rangeQuery = null;
+        this.cancelAnimation();
+        this.view.autoFit = true;
+        
+        switch(scenario) {
+            case 'basic':
+                this.setupBasicScenario();
+                break;
+            case 'conflict':
+                this.setupConflictScenario();
+                break;
+            case 'hotfix':
+                this.setupHotfixScenario();
+                break;
+            case 'complex':
+                this.setupComplexScenario();
+                break;
+            case 'collaboration':
+                this.setupCollaborationScenario();
+                break;
+            case 'bisect':
+                this.setupBisectScenario();
+                break;
+        }
+        
+        this.initializeRepository(`${name} scenario`, `scenario: ${name}`);
+        this.logCommand('Loaded scenario', `Initialized ${name} scenario`);
+    }
+
+    // Fresh start on this.repo: working tree at HEAD, reflogs seeded, empty undo history
+    initializeRepository(origin, headReflog) {
+        this.repo.checkoutTree(this.repo.getCurrentCommit().tree);
+        Object.keys(this.repo.branches).forEach(branch => {
+            this.repo.recordReflog(branch, this.repo.branches[branch], `branch: Created by ${origin}`);
+        });
+        this.repo.recordReflog('HEAD', this.repo.headId(), headReflog);
+        this.timeline = [];
+        this.timelineIndex = -1;
+        this.recordTimeline(`Loaded ${origin}`);
+        this.updateDisplay();
+    }
+
+    // Replace the repository with history parsed from git log or git fast-export output
+    importHistory(text, source) {
+        let imported;
+        try {
+            imported = buildImportedRepo(isFastExport(text) ? parseFastExport(text) : parseGitLog(text));
+        } catch (err) {
+            this.logCommand(`Import ${source}`, `error: ${err.message}`, true);
+            return false;
+        }
+
+        const repo = imported.repo;
+        this.repo = repo;
+        this.scenarioName = `import of ${source}`;
+        this.challenge = null;
+        this.commandLog = [];
+        this.rebaseTodo = null;
+        this.bisectRun = null;
+        this.inspected = null;
+        this.rangeQuery = null;
+        this.cancelAnimation();
+        this.view.autoFit = true;
+        this.initializeRepository(`import of ${source}`, `import: ${source}`);
+
+        const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+        const lines = [
+            `Imported ${count(repo.commits.length, 'commit', 'commits')}, ` +
+                `${count(Object.keys(repo.branches).length, 'branch', 'branches')}, ` +
+                `${count(Object.keys(repo.tags).length, 'tag', 'tags')} and ` +
+                `${count(Object.keys(repo.remoteRefs).length, 'remote-tracking ref', 'remote-tracking refs')}`
+        ];
+        if (imported.dropped) {
+            lines.push(`${count(imported.dropped, 'parent was', 'parents were')} not in the input and left out`);
+        }
+        lines.push('Commands now work on this copy only.');
+        this.logCommand(`Import ${source}`, lines.join('\n'));
+        return true;
+    }
+
+    // ---- Challenges ----
+
+    startChallenge(id) {
+        const level = CHALLENGES.find(c => c.id === id);
+        const targets = level.targets.map(commits => {
+            const target = buildScenarioRepo({ commits: commits });
+            (level.absent || []).forEach(branch => { delete target.branches[branch]; });
+            return target;
+        });
+        this.loadScenario(level.scenario);
+        this.challenge = {
+            level: level,
+            targets: targets,
+            moves: 0,
+            hints: 0,
+            solved: false
+        };
+        this.updateChallenge();
+        this.logCommand(`Challenge: ${level.title}`, level.goal);
+    }
+
+    challengeMove() {
+        const challenge = this.challenge;
+        if (challenge.solved) return;
+        challenge.moves++;
+        if (!this.challengeSolved()) return;
+
+        challenge.solved = true;
+        const progress = loadChallengeProgress();
+        const best = progress[challenge.level.id];
+        progress[challenge.level.id] = { moves: best ? Math.min(best.moves, challenge.moves) : challenge.moves };
+        saveChallengeProgress(progress);
+        this.logCommand(
+            '🏆 Level complete',
+            `${challenge.level.title}: solved in ${challenge.moves} move${challenge.moves === 1 ? '' : 's'} (par ${challenge.level.par})`
+        );
+    }
+
+    // Solved once nothing is in progress and every target branch has the target's history shape
+    challengeSolved() {
+        const { level, targets } = this.challenge;
+        if (this.repo.mergeState || this.repo.rebaseState) return false;
+        if ((level.absent || []).some(branch => branch in this.repo.branches)) return false;
+        return targets.some(target => Object.keys(target.branches).every(branch =>
+            this.repo.branches[branch] &&
+            historyShape(this.repo, this.repo.branches[branch]) === historyShape(target, target.branches[branch])
+        ));
+    }
+
+    showHint() {
+        if (!this.challenge) return;
+        this.challenge.hints = Math.min(this.challenge.hints + 1, this.challenge.level.hints.length);
+        this.updateChallenge();
+    }
+
+    exitChallenge() {
+        this.challenge = null;
+        this.updateChallenge();
+    }
+
+    // ---- Saving, loading and sharing ----
+
+    // Everything needed to restore this exact moment: repository, command log and typed history
+    exportSession() {
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            scenario: this.scenarioName,
+            repo: this.repo.toJSON(),
+            commandLog: this.commandLog,
+            history: this.history
+        };
+    }
+
+    saveSession() {
+        const json = JSON.stringify(this.exportSession(), null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `git-session-${this.repo.head || 'detached'}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        this.logCommand('Saved session', `Downloaded ${link.download} (${this.repo.commits.length} commits)`);
+    }
+
+    // Load JSON text holding either a saved session or an authored scenario
+    loadJSON(text, source) {
+        try {
+            const data = JSON.parse(text);
+            if (data && data.format === SCENARIO_FORMAT) {
+                this.addScenario(data);
+            } else {
+                this.restoreSession(data);
+            }
+            return true;
+        } catch (err) {
+            this.logCommand(`Load ${source}`, `error: ${err.message}`, true);
+            return false;
+        }
+    }
+
+    // Authored scenarios join the scenario list, so "Reset to Scenario" rebuilds them too
+    addScenario(data) {
+        buildScenarioRepo(data); // Throws on a malformed scenario before it reaches the list
+        data = { ...data, name: data.name || 'custom' };
+        const key = `custom:${data.name}`;
+        this.customScenarios[key] = data;
+
+        const select = document.getElementById('scenarioSelect');
+        if (![...select.options].some(option => option.value === key)) {
+            select.add(new Option(`${data.name} (custom)`, key));
+        }
+        select.value = key;
+        this.loadScenario(key);
+    }
+
+    restoreSession(data) {
+        if (!data || data.format !== SESSION_FORMAT || !data.repo || !Array.isArray(data.repo.commits)) {
+            throw new Error('not a git visualizer session or scenario');
+        }
+        if (data.version > SESSION_VERSION) {
+            throw new Error(`session version ${data.version} is newer than this visualizer supports`);
+        }
+        const repo = GitRepo.fromJSON(data.repo);
+        // Ref names end up in the page, so a shared link gets the same checks as a scenario
+        const names = [
+            ...Object.keys(repo.branches).map(name => ['branch', name]),
+            ...Object.keys(repo.tags).map(name => ['tag', name]),
+            ...Object.keys(repo.remoteRefs).map(name => ['remote-tracking branch', name]),
+            ...Object.keys(repo.remotes).flatMap(remote => [
+                ['remote', remote],
+                ...Object.keys(repo.remotes[remote].branches).map(name => ['branch', name]),
+                ...Object.keys(repo.remotes[remote].tags).map(name => ['tag', name])
+            ])
+        ];
+        const invalid = names.find(([, name]) => !isValidBranchName(name));
+        if (invalid) throw new Error(`'${invalid[1]}' is not a valid ${invalid[0]} name`);
+        const badId = repo.commits.find(c => !/^c\d+$/.test(c.id));
+        if (badId) throw new Error(`commit ${badId.hash} has an invalid id`);
+        const badHash = repo.commits.find(c => !isObjectId(c.fullHash) || c.hash !== c.fullHash.slice(0, 7));
+        if (badHash) throw new Error(`commit ${badHash.id} has an invalid hash`);
+        const badTag = Object.keys(repo.annotatedTags).find(name => !isObjectId(repo.annotatedTags[name].fullHash));
+        if (badTag) throw new Error(`tag '${badTag}' has an invalid hash`);
+        if (repo.head !== null && !repo.branches[repo.head]) throw new Error(`head '${repo.head}' is not a branch`);
+        if (!repo.findCommit(repo.headId())) throw new Error('HEAD points at a commit missing from the session');
+
+        // A rebase saved mid-animation resumes by hand with git rebase --continue
+        if (repo.rebaseState) repo.rebaseState.animating = false;
+        this.repo = repo;
+        this.scenarioName = data.scenario || null;
+        this.challenge = null;
+        this.commandLog = data.commandLog || [];
+        this.history = data.history || [];
+        this.historyIndex = this.history.length;
+        this.rebaseTodo = null;
+        this.bisectRun = null;
+        this.inspected = null;
+        this.rangeQuery = null;
+        this.cancelAnimation();
+        this.view.autoFit = true;
+        this.timeline = [];
+        this.timelineIndex = -1;
+        this.recordTimeline('Loaded session');
+        this.updateDisplay();
+        this.logCommand('Loaded session', `Restored ${repo.commits.length} commits, HEAD at ${repo.head || repo.getCurrentCommit().hash}`);
+    }
+
+    // A #session=... fragment opens straight into the shared situation
+    loadSharedSession() {
+        const match = /^#session=(.+)$/.exec(window.location.hash);
+        if (!match) return false;
+
+        let text;
+        try {
+            text = decodeBase64Url(match[1]);
+        } catch (err) {
+            this.logCommand('Load shared link', 'error: the link is damaged (invalid base64)', true);
+            return false;
+        }
+        return this.loadJSON(text, 'shared link');
+    }
+
+    copyShareLink() {
+        const url = `${window.location.href.split('#')[0]}#session=${encodeBase64Url(JSON.stringify(this.exportSession()))}`;
+        window.history.replaceState(null, '', url);
+        const report = (copied) => this.logCommand(
+            'Share link',
+            `${copied ? 'Copied a link to this exact repository state' : 'Link is in the address bar'} (${url.length} characters)`
+        );
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(() => report(true), () => report(false));
+        } else {
+            report(false);
+        }
+    }
+
+    setupBasicScenario() {
+        // Main branch
+        this.repo.commitChanges('Initial commit', 'main', {
+            'README.md': ['# Demo Project']
+        }, []);
+        this.repo.commitChanges('Add README', 'main', {
+            'README.md': ['# Demo Project', '', 'A small demo application.']
+        });
+        this.repo.commitChanges('Setup project structure', 'main', {
+            'src/app.js': ['function main() {', '    start();', '}']
+        });
+        
+        // Feature branch diverges
+        const featureStart = this.repo.getBranchTip('main');
+        this.repo.branches['feature'] = featureStart;
+        this.repo.commitChanges('Start feature development', 'feature', {
+            'src/feature.js': ['function feature() {', '    return null;', '}']
+        });
+        this.repo.commitChanges('Implement feature logic', 'feature', {
+            'src/feature.js': ['function feature() {', '    return compute();', '}']
+        });
+        
+        // Main continues
+        this.repo.head = 'main';
+        this.repo.commitChanges('Fix bug in production', 'main', {
+            'src/app.js': ['function main() {', '    init();', '    start();', '}']
+        });
+    }
+
+    setupConflictScenario() {
+        this.repo.commitChanges('Initial commit', 'main', {
+            'README.md': ['# Config Service']
+        }, []);
+        this.repo.commitChanges('Add config.js', 'main', {
+            'config.js': ['module.exports = {', '    port: 8080,', '    timeout: 30,', '    debug: false', '};']
+        });
+        
+        const featureStart = this.repo.getBranchTip('main');
+        this.repo.branches['feature'] = featureStart;
+        
+        // Both branches edit the same lines, so merging them conflicts
+        this.repo.commitChanges('Update config - feature way', 'feature', {
+            'config.js': ['module.exports = {', '    port: 8080,', '    timeout: 60,', '    debug: true', '};']
+        });
+        this.repo.head = 'main';
+        this.repo.commitChanges('Update config - main way', 'main', {
+            'config.js': ['module.exports = {', '    port: 8080,', '    timeout: 10,', '    debug: false', '};']
+        });
+    }
+
+    setupHotfixScenario() {
+        const release = this.repo.commitChanges('v1.0 release', 'main', {
+            'VERSION': ['1.0.0'],
+            'src/auth.js': ['function login(user, password) {', '    return check(user, password);', '}']
+        }, []);
+        this.repo.createTag('v1.0.0', release.id, 'Release 1.0.0');
+        this.repo.commitChanges('v1.1 development', 'main', {
+            'VERSION': ['1.1.0-dev'],
+            'src/search.js': ['function search(query) {', '    return [];', '}']
+        });
+        
+        const featureStart = this.repo.getBranchTip('main');
+        this.repo.branches['feature'] = featureStart;
+        this.repo.commitChanges('New feature WIP', 'feature', {
+            'src/search.js': ['function search(query) {', '    return index.find(query);', '}']
+        });
+        
+        const hotfixStart = this.repo.commits[0].id; // From v1.0
+        this.repo.branches['hotfix'] = hotfixStart;
+        this.repo.commitChanges('Critical security fix', 'hotfix', {
+            'VERSION': ['1.0.1'],
+            'src/auth.js': ['function login(user, password) {', '    return secureCheck(user, password);', '}']
+        });
+    }
+
+    setupComplexScenario() {
+        this.repo.commitChanges('Initial commit', 'main', {
+            'README.md': ['# Platform']
+        }, []);
+        this.repo.commitChanges('Add core features', 'main', {
+            'src/core.js': ['function core() {', '    return 1;', '}']
+        });
+        
+        const featureStart = this.repo.getBranchTip('main');
+        this.repo.branches['feature-a'] = featureStart;
+        this.repo.branches['feature-b'] = featureStart;
+        
+        this.repo.commitChanges('Feature A progress', 'feature-a', {
+            'src/a.js': ['function a() {', '    // TODO', '}']
+        });
+        this.repo.commitChanges('Feature B progress', 'feature-b', {
+            'src/b.js': ['function b() {', '    // TODO', '}']
+        });
+        this.repo.commitChanges('Main continues', 'main', {
+            'src/core.js': ['function core() {', '    return 2;', '}']
+        });
+        this.repo.commitChanges('Feature A done', 'feature-a', {
+            'src/a.js': ['function a() {', '    return core();', '}']
+        });
+    }
+
+    // A clone of origin whose main has diverged: one local commit, one pushed by a teammate
+    setupCollaborationScenario() {
+        const origin = new GitRepo();
+        origin.commitChanges('Initial commit', 'main', {
+            'README.md': ['# Team Project']
+        }, []);
+        origin.commitChanges('Add app entry point', 'main', {
+            'src/app.js': ['function start() {', '    console.log("hello");', '}']
+        });
+        origin.branches['feature'] = origin.getBranchTip('main');
+        origin.commitChanges('Start shared feature', 'feature', {
+            'src/feature.js': ['function feature() {', '    // TODO', '}']
+        });
+        origin.clock = this.repo.clock = Math.max(origin.clock, this.repo.clock);
+
+        this.repo.remotes['origin'] = origin;
+        this.repo.cloneFrom('origin');
+        this.repo.commitChanges('Add local setup notes', 'main', {
+            'docs/setup.md': ['# Setup', 'Run npm start']
+        });
+        this.teammateCommit(origin, 'main');
+    }
+
+    // A regression hidden in a dozen commits since v1.0; npm test catches it
+    setupBisectScenario() {
+        const cart = (start) => [
+            'function total(items, shipping) {',
+            `    const subtotal = items.reduce((sum, item) => sum + item.price, ${start});`,
+            '    return subtotal + shipping;',
+            '}'
+        ];
+        this.repo.commitChanges('Initial commit', 'main', {
+            'README.md': ['# Shop']
+        }, []);
+        this.repo.commitChanges('Add cart total', 'main', {
+            'src/cart.js': cart('0')
+        });
+        const release = this.repo.commitChanges('Add cart tests', 'main', {
+            'test/cart.test.js': ['test("total adds shipping once", () => {', '    expect(total([{ price: 100 }], 10)).toBe(110);', '});']
+        });
+        this.repo.createTag('v1.0', release.id, 'Release 1.0');
+        this.repo.commitChanges('Add product search', 'main', {
+            'src/search.js': ['function search(query) {', '    return products.filter(p => p.name.includes(query));', '}']
+        });
+        this.repo.commitChanges('Style the checkout page', 'main', {
+            'src/checkout.css': ['.checkout {', '    padding: 1em;', '}']
+        });
+
+        this.repo.branches['feature'] = this.repo.getBranchTip('main');
+        this.repo.commitChanges('Rank search results by name', 'feature', {
+            'src/search.js': ['function search(query) {', '    return products.filter(p => p.name.includes(query)).sort(byName);', '}']
+        });
+        this.repo.commitChanges('Tidy up cart total', 'main', {
+            'src/cart.js': cart('shipping')
+        });
+        this.repo.commitChanges('Add order history page', 'main', {
+            'src/history.js': ['function history(user) {', '    return orders.filter(o => o.user === user);', '}']
+        });
+        this.repo.commitChanges("Merge branch 'feature'", 'main', {},
+            [this.repo.getBranchTip('main'), this.repo.getBranchTip('feature')]);
+        this.repo.commitChanges('Add discount codes', 'main', {
+            'src/discount.js': ['function discount(code) {', '    return codes[code] || 0;', '}']
+        });
+        this.repo.commitChanges('Document the checkout flow', 'main', {
+            'README.md': ['# Shop', '', 'Checkout totals include shipping once.']
+        });
+        this.repo.commitChanges('Lazy-load product images', 'main', {
+            'src/images.js': ['function load(img) {', '    img.loading = "lazy";', '}']
+        });
+        this.repo.testSuite = {
+            command: 'npm test',
+            name: 'test/cart.test.js',
+            path: 'src/cart.js',
+            bug: 'item.price, shipping)',
+            failure: '● total adds shipping once\n\n    Expected: 110\n    Received: 120'
+        };
+    }
+
+    gitCommand(command, arg, options = {}) {
+        if (this.bisectRun) {
+            this.logCommand(`git ${command}`, 'error: git bisect run is still running', true);
+            return;
+        }
+        // While conflicts are pending only commit, reset and resolution commands are allowed
+        const readOnly = ['log', 'status', 'rev-parse', 'branch-list', 'reflog', 'diff', 'fetch', 'remote',
+            'stash-list', 'stash-show', 'tag-list', 'describe', 'bisect-log'];
+        const allowed = this.repo.rebaseState
+            ? ['commit', 'rebase-continue', 'rebase-skip', 'rebase-abort', 'resolve', 'mark-resolved', 'add', 'restore']
+            : ['commit', 'merge-abort', 'reset', 'resolve', 'mark-resolved', 'add', 'restore'];
+        if ((this.repo.mergeState || this.repo.rebaseState) &&
+            !allowed.includes(command) && !readOnly.includes(command)) {
+            this.logCommand(`git ${command}`, `error: you need to resolve your current index first`, true);
+            return;
+        }
+        const dirtyError = this.dirtyTreeError(command);
+        if (dirtyError) {
+            this.logCommand(`git ${command}${typeof arg === 'string' ? ` ${arg}` : ''}`, dirtyError, true);
+            return;
+        }
+
+        const before = this.repo.refSnapshot();
+        const inProgress = !!(this.repo.mergeState || this.repo.rebaseState);
+        this.recordFrames();
+
+        switch(command) {
+            case 'commit':
+                this.doCommit(arg, options);
+                break;
+            case 'checkout':
+                this.doCheckout(arg, options);
+                break;
+            case 'branch':
+                this.doBranch(arg, options.startPoint);
+                break;
+            case 'branch-delete':
+                this.doDeleteBranch(arg, options.force);
+                break;
+            case 'branch-list':
+                this.doBranchList(options);
+                break;
+            case 'tag':
+                this.doTag(arg, options);
+                break;
+            case 'tag-delete':
+                this.doDeleteTags(arg);
+                break;
+            case 'tag-list':
+                this.doTagList(arg, options);
+                break;
+            case 'describe':
+                this.doDescribe(arg, options);
+                break;
+            case 'merge':
+                this.doMerge(arg, options);
+                break;
+            case 'rebase':
+                this.doRebase(arg);
+                break;
+            case 'rebase-interactive':
+                this.doRebaseInteractive(arg);
+                break;
+            case 'rebase-continue':
+                this.doRebaseContinue();
+                break;
+            case 'rebase-skip':
+                this.doRebaseSkip();
+                break;
+            case 'rebase-abort':
+                this.doRebaseAbort();
+                break;
+            case 'reset':
+                this.doReset(arg, options.target);
+                break;
+            case 'cherry-pick':
+                this.doCherryPick(arg);
+                break;
+            case 'amend':
+                this.doAmend(arg);
+                break;
+            case 'revert':
+                this.doRevert(arg);
+                break;
+            case 'stash':
+                this.doStash(arg, options);
+                break;
+            case 'stash-list':
+                this.doStashList();
+                break;
+            case 'stash-show':
+                this.doStashShow(arg, options);
+                break;
+            case 'stash-apply':
+                this.doStashApply(arg, options);
+                break;
+            case 'stash-pop':
+                this.doStashApply(arg, { ...options, pop: true });
+                break;
+            case 'stash-drop':
+                this.doStashDrop(arg);
+                break;
+            case 'stash-branch':
+                this.doStashBranch(arg, options.stash);
+                break;
+            case 'stash-clear':
+                this.repo.stash = [];
+                this.logCommand('git stash clear', 'Removed all stash entries');
+                break;
+            case 'bisect-start':
+                this.doBisectStart(arg);
+                break;
+            case 'bisect-mark':
+                this.doBisectMark(options.term, arg);
+                break;
+            case 'bisect-reset':
+                this.doBisectReset(arg);
+                break;
+            case 'bisect-log':
+                this.doBisectLog();
+                break;
+            case 'bisect-run':
+                this.doBisectRun(arg, before);
+                break;
+            case 'merge-abort':
+                this.doMergeAbort();
+                break;
+            case 'resolve':
+                this.doResolve(arg.path, arg.side);
+                break;
+            case 'mark-resolved':
+                this.doMarkResolved(arg.path, arg.lines);
+                break;
+            case 'log':
+                this.doLog(arg, options);
+                break;
+            case 'status':
+                this.doStatus();
+                break;
+            case 'rev-parse':
+                this.doRevParse(arg);
+                break;
+            case 'reflog':
+                this.doReflog(arg);
+                break;
+            case 'add':
+                this.doAdd(arg, options);
+                break;
+            case 'restore':
+                this.doRestore(arg, options);
+                break;
+            case 'diff':
+                this.doDiff(arg, options);
+                break;
+            case 'remote':
+                this.doRemote(arg, options);
+                break;
+            case 'clone':
+                this.doClone(arg);
+                break;
+            case 'fetch':
+                this.doFetch(arg, options);
+                break;
+            case 'pull':
+                this.doPull(arg, options);
+                break;
+            case 'push':
+                this.doPush(arg, options);
+                break;
+        }
+
+        // Merges, picks and rebases rewrite index and working tree (they start clean)
+        const rewritesTree = ['merge', 'rebase', 'rebase-continue', 'rebase-skip', 'rebase-abort',
+            'cherry-pick', 'revert', 'merge-abort', 'pull', 'clone'];
+        if (rewritesTree.includes(command) &&
+            (inProgress || this.repo.mergeState || this.repo.rebaseState || this.repo.headId() !== before.headId)) {
+            this.syncWorkingTree();
+        }
+
+        // An animated rebase or bisect run records its ref moves when it ends
+        if (!(this.repo.rebaseState && this.repo.rebaseState.animating) && !this.bisectRun) {
+            this.commandFinished(before, this.reflogMessage(command, arg, options, before));
+        }
+        this.playFrames();
+        this.updateDisplay();
+    }
+
+    // Index and working tree after a merge-like step: the staged result while
+    // one is in progress (conflict markers included), otherwise HEAD's tree
+    syncWorkingTree() {
+        const merge = this.repo.mergeState;
+        if (merge && merge.kind === 'stash') return; // Stash conflicts live in the working tree itself
+        this.repo.checkoutTree(merge ? merge.tree : this.repo.getCurrentCommit().tree);
+    }
+
+    // Commands that replay changes refuse to run over local modifications, as in git
+    dirtyTreeError(command) {
+        const messages = {
+            'merge': (paths) => `error: Your local changes to the following files would be overwritten by merge:\n` +
+                `${paths.map(p => `\t${p}`).join('\n')}\nPlease commit your changes or stash them before you merge.\nAborting`,
+            'pull': (paths) => `error: Your local changes to the following files would be overwritten by merge:\n` +
+                `${paths.map(p => `\t${p}`).join('\n')}\nPlease commit your changes or stash them before you merge.\nAborting`,
+            'rebase': () => `error: cannot rebase: You have unstaged changes.\nerror: Please commit or stash them.`,
+            'rebase-interactive': () => `error: cannot rebase: You have unstaged changes.\nerror: Please commit or stash them.`,
+            'cherry-pick': () => `error: your local changes would be overwritten by cherry-pick.\n` +
+                `hint: commit your changes or stash them to proceed.\nfatal: cherry-pick failed`,
+            'revert': () => `error: your local changes would be overwritten by revert.\n` +
+                `hint: commit your changes or stash them to proceed.\nfatal: revert failed`
+        };
+        if (!messages[command]) return null;
+        const dirty = this.repo.dirtyPaths(false);
+        return dirty.length ? messages[command](dirty) : null;
+    }
+
+    // Log moved refs in their reflogs and add the new state to the timeline
+    commandFinished(before, message, label = this.commandLog.length ? this.commandLog[0].command : message) {
+        this.repo.recordRefUpdates(before, message);
+        this.recordTimeline(label);
+    }
+
+    // Reflog messages in git's own wording
+    reflogMessage(command, arg, options, before) {
+        const current = this.repo.getCurrentCommit();
+        const subject = current ? current.message.split('\n')[0] : '';
+        switch (command) {
+            case 'commit':
+                return `commit${current && current.parents.length > 1 ? ' (merge)' : ''}: ${subject}`;
+            case 'amend':
+                return `commit (amend): ${subject}`;
+            case 'checkout':
+                return `checkout: moving from ${before.head || this.repo.findCommit(before.headId).fullHash} to ${this.repo.head || arg}`;
+            case 'reset':
+                return `reset: moving to ${options.target || 'HEAD~1'}`;
+            case 'merge':
+                return `merge ${arg}: ${current && current.parents.length > 1 ? "Merge made by the 'ort' strategy." : 'Fast-forward'}`;
+            case 'pull':
+                return `pull${options.rebase ? ' --rebase' : ''}: ${current && current.parents.length > 1 ? "Merge made by the 'ort' strategy." : 'Fast-forward'}`;
+            case 'clone':
+                return `clone: from ${arg}`;
+            case 'bisect-start':
+            case 'bisect-mark':
+            case 'bisect-reset':
+            case 'bisect-run':
+                return `checkout: moving from ${before.head || this.repo.findCommit(before.headId).fullHash} ` +
+                    `to ${this.repo.head || this.repo.getCurrentCommit().fullHash}`;
+            case 'cherry-pick':
+            case 'revert':
+                return `${command}: ${subject}`;
+            case 'rebase':
+            case 'rebase-continue':
+            case 'rebase-skip':
+                return `rebase (finish): returning to refs/heads/${this.repo.head}`;
+            case 'rebase-abort':
+                return `rebase (abort): returning to refs/heads/${this.repo.head}`;
+            default:
+                return this.commandLog.length ? this.commandLog[0].command.replace(/^git /, '') : command;
+        }
+    }
+
+    recordTimeline(label) {
+        const state = this.repo.serialize();
+        const current = this.timeline[this.timelineIndex];
+        if (current && current.state === state) return;
+
+        // Acting after an undo discards the redo history, like any editor
+        this.timeline = this.timeline.slice(0, this.timelineIndex + 1);
+        this.timeline.push({ label: label, state: state });
+        this.timelineIndex = this.timeline.length - 1;
+        if (this.challenge) this.challengeMove(); // Every change to the repository is a move
+    }
+
+    travelTo(index) {
+        if ((this.repo.rebaseState && this.repo.rebaseState.animating) || this.bisectRun) return;
+        if (index < 0 || index >= this.timeline.length) return;
+
+        // Undo and redo animate too, from the state shown to the one restored
+        this.cancelAnimation();
+        this.recordFrames();
+        this.timelineIndex = index;
+        this.repo = GitRepo.deserialize(this.timeline[index].state);
+        this.rebaseTodo = null;
+        // Travelling back before the solution reopens the level; redoing it closes it again
+        if (this.challenge) this.challenge.solved = this.challengeSolved();
+        this.playFrames();
+        this.updateDisplay();
+    }
+
+    undo() {
+        this.travelTo(this.timelineIndex - 1);
+    }
+
+    redo() {
+        this.travelTo(this.timelineIndex + 1);
+    }
+
+    // How a branch compares with its upstream, worded as git status puts it
+    trackingSummary(branch) {
+        const upstream = this.repo.upstreams[branch];
+        const upstreamId = this.repo.remoteRefs[upstream];
+        if (!upstreamId) {
+            return [`Your branch is based on '${upstream}', but the upstream is gone.`,
+                '  (use "git branch --unset-upstream" to fixup)'];
+        }
+
+        const tip = this.repo.branches[branch];
+        const ahead = this.repo.commitsBetween(upstreamId, tip).length;
+        const behind = this.repo.commitsBetween(tip, upstreamId).length;
+        const commits = (n) => `${n} commit${n === 1 ? '' : 's'}`;
+        if (ahead && behind) {
+            return [`Your branch and '${upstream}' have diverged,`,
+                `and have ${ahead} and ${behind} different commits each, respectively.`,
+                '  (use "git pull" if you want to integrate the remote branch with yours)'];
+        }
+        if (ahead) {
+            return [`Your branch is ahead of '${upstream}' by ${commits(ahead)}.`, '  (use "git push" to publish your local commits)'];
+        }
+        if (behind) {
+            return [`Your branch is behind '${upstream}' by ${commits(behind)}, and can be fast-forwarded.`,
+                '  (use "git pull" to update your local branch)'];
+        }
+        return [`Your branch is up to date with '${upstream}'.`];
+    }
+
+    // git remote [-v] | git remote add <name> | git remote remove <name>
+    doRemote(args = [], options = {}) {
+        const [action, name] = args;
+        const commandText = ['git remote', options.verbose ? '-v' : '', ...args].filter(Boolean).join(' ');
+
+        if (!action) {
+            const names = Object.keys(this.repo.remotes).sort();
+            const lines = options.verbose
+                ? names.flatMap(n => [`${n}\t(simulated) (fetch)`, `${n}\t(simulated) (push)`])
+                : names;
+            this.logCommand(commandText, lines.join('\n') || 'No remotes configured');
+            return;
+        }
+        if (action === 'add') {
+            if (!isValidBranchName(name)) {
+                this.logCommand(commandText, `fatal: '${name}' is not a valid remote name`, true);
+                return;
+            }
+            if (this.repo.remotes[name]) {
+                this.logCommand(commandText, `error: remote ${name} already exists.`, true);
+                return;
+            }
+            // A new, empty simulated repository, like a freshly created bare repo on a server
+            const remote = new GitRepo();
+            remote.clock = this.repo.clock;
+            this.repo.remotes[name] = remote;
+            this.logCommand(commandText, `Added empty remote '${name}'; publish a branch with git push -u ${name} <branch>`);
+            return;
+        }
+        if (!this.repo.remotes[name]) {
+            this.logCommand(commandText, `error: No such remote: '${name}'`, true);
+            return;
+        }
+        delete this.repo.remotes[name];
+        Object.keys(this.repo.remoteRefs)
+            .filter(ref => ref.startsWith(`${name}/`))
+            .forEach(ref => { delete this.repo.remoteRefs[ref]; });
+        Object.keys(this.repo.upstreams)
+            .filter(branch => this.repo.upstreams[branch].startsWith(`${name}/`))
+            .forEach(branch => { delete this.repo.upstreams[branch]; });
+        this.logCommand(commandText, `Removed remote '${name}' and its remote-tracking branches`);
+    }
+
+    // Replace the local repository with a fresh clone of a simulated remote
+    doClone(name) {
+        const commandText = `git clone ${name}`;
+        const remote = this.repo.remotes[name];
+        if (!remote) {
+            this.logCommand(commandText, `fatal: repository '${name}' does not exist`, true);
+            return;
+        }
+        if (!Object.keys(remote.branches).length) {
+            this.logCommand(commandText, `fatal: You appear to have cloned an empty repository.`, true);
+            return;
+        }
+
+        const remotes = this.repo.remotes;
+        const clock = this.repo.clock;
+        this.repo = new GitRepo();
+        this.repo.remotes = remotes;
+        this.repo.clock = clock;
+        this.repo.cloneFrom(name);
+        this.logCommand(
+            commandText,
+            `Cloning into '${name}'...\nReceiving objects: 100% (${this.repo.commits.length}/${this.repo.commits.length}), done.\n` +
+                `Checked out '${this.repo.head}', tracking '${this.repo.upstreams[this.repo.head]}'`
+        );
+    }
+
+    // Remote to use when none is named: the current branch's upstream, else origin
+    defaultRemote() {
+        const upstream = this.repo.head && this.repo.upstreams[this.repo.head];
+        return upstream ? upstream.split('/')[0] : 'origin';
+    }
+
+    // Fetch logs its own output and returns whether the remote was found
+    doFetch(name = this.defaultRemote(), options = {}) {
+        const commandText = `git fetch${options.prune ? ' --prune' : ''} ${name}`;
+        const remote = this.repo.remotes[name];
+        if (!remote) {
+            this.logCommand(
+                commandText,
+                `fatal: '${name}' does not appear to be a git repository\nfatal: Could not read from remote repository.`,
+                true
+            );
+            return false;
+        }
+
+        const lines = [];
+        Object.keys(remote.branches).sort().forEach(branch => {
+            const ref = `${name}/${branch}`;
+            const old = this.repo.remoteRefs[ref];
+            const id = this.repo.importCommit(remote, remote.branches[branch]);
+            if (old === id) return;
+
+            this.repo.remoteRefs[ref] = id;
+            lines.push(this.refUpdateLine(old, id, branch, ref));
+        });
+        if (options.prune) {
+            Object.keys(this.repo.remoteRefs)
+                .filter(ref => ref.startsWith(`${name}/`) && !remote.branches[ref.slice(name.length + 1)])
+                .forEach(ref => {
+                    delete this.repo.remoteRefs[ref];
+                    lines.push(` - [deleted]         (none)     -> ${ref}`);
+                });
+        }
+        // Tags come along when they point into history we now have
+        Object.keys(remote.tags).sort().forEach(tag => {
+            if (this.repo.tags[tag] || !this.repo.localCopy(remote, remote.tags[tag])) return;
+            this.repo.copyTag(remote, tag);
+            lines.push(` * [new tag]         ${tag.padEnd(11)}-> ${tag}`);
+        });
+
+        this.logCommand(commandText, lines.length ? `From ${name}\n${lines.join('\n')}` : `Already up to date with ${name}.`);
+        return true;
+    }
+
+    // git push --tags, or git push <remote> <tag>: tags never move on the remote without --force
+    pushTags(commandText, name, tags, force) {
+        const remote = this.repo.remotes[name];
+        const lines = [];
+        let rejected = false;
+        tags.forEach(tag => {
+            const existing = remote.tags[tag];
+            const same = existing && this.repo.localCopy(remote, existing) === this.repo.tags[tag];
+            if (same) return;
+            if (existing && !force) {
+                lines.push(` ! [rejected]        ${tag.padEnd(11)}-> ${tag} (already exists)`);
+                rejected = true;
+                return;
+            }
+            const short = (repo) => (repo.annotatedTags[tag] || repo.findCommit(repo.tags[tag])).fullHash.substring(0, 7);
+            const was = existing && short(remote);
+            remote.copyTag(this.repo, tag);
+            lines.push(existing
+                ? ` + ${was}...${short(remote)} ${tag.padEnd(11)}-> ${tag} (forced update)`
+                : ` * [new tag]         ${tag.padEnd(11)}-> ${tag}`);
+        });
+        if (!lines.length) {
+            this.logCommand(commandText, 'Everything up-to-date');
+            return;
+        }
+        if (rejected) {
+            lines.push(`error: failed to push some refs to '${name}'`,
+                "hint: Updates were rejected because the tag already exists in the remote.");
+        }
+        this.logCommand(commandText, `To ${name}\n${lines.join('\n')}`, rejected);
+    }
+
+    // One line of fetch/push output: new ref, fast-forward or forced update
+    refUpdateLine(oldId, newId, src, dst, repo = this.repo) {
+        const pad = (text) => text.padEnd(11);
+        if (!oldId) return ` * [new branch]      ${pad(src)}-> ${dst}`;
+
+        const oldHash = repo.findCommit(oldId).hash;
+        const newHash = repo.findCommit(newId).hash;
+        return repo.isAncestor(oldId, newId)
+            ? `   ${oldHash}..${newHash}  ${pad(src)}-> ${dst}`
+            : ` + ${oldHash}...${newHash} ${pad(src)}-> ${dst}  (forced update)`;
+    }
+
+    // git pull: fetch, then merge (or rebase onto) the upstream of the current branch
+    doPull(args = [], options = {}) {
+        const commandText = ['git pull', options.rebase ? '--rebase' : '', options.ffOnly ? '--ff-only' : '', ...args]
+            .filter(Boolean).join(' ');
+        if (!this.repo.head) {
+            this.logCommand(commandText, `You are not currently on a branch.\nPlease specify which branch you want to merge with.`, true);
+            return;
+        }
+
+        const upstream = args.length
+            ? `${args[0]}/${args[1] || this.repo.head}`
+            : this.repo.upstreams[this.repo.head];
+        if (!upstream) {
+            this.logCommand(
+                commandText,
+                `There is no tracking information for the current branch.\n` +
+                    `Please specify which branch you want to merge with.\n\n    git pull <remote> <branch>\n\n` +
+                    `If you wish to set tracking information for this branch you can do so with:\n\n` +
+                    `    git branch --set-upstream-to=origin/<branch> ${this.repo.head}`,
+                true
+            );
+            return;
+        }
+
+        const [name] = upstream.split('/');
+        if (!this.doFetch(name)) return;
+        this.phase(`fetch ${name}`);
+        if (!this.repo.remoteRefs[upstream]) {
+            this.logCommand(commandText, `fatal: couldn't find remote ref ${upstream.slice(name.length + 1)}`, true);
+            return;
+        }
+        if (options.rebase) {
+            this.doRebase(upstream);
+        } else {
+            this.doMerge(upstream, { ffOnly: options.ffOnly });
+        }
+    }
+
+    // git push [-u] [--force | --force-with-lease] [<remote> [<branch>]]
+    doPush(args = [], options = {}) {
+        const flags = [['setUpstream', '-u'], ['force', '--force'], ['forceWithLease', '--force-with-lease'], ['tags', '--tags']]
+            .filter(([key]) => options[key])
+            .map(([, flag]) => flag);
+        const commandText = ['git push', ...flags, ...args].join(' ');
+        const upstream = this.repo.head && this.repo.upstreams[this.repo.head];
+        const name = args[0] || this.defaultRemote();
+        const branch = args[1] || (upstream && !args[0] ? upstream.slice(name.length + 1) : this.repo.head);
+
+        const remote = this.repo.remotes[name];
+        if (!remote) {
+            this.logCommand(
+                commandText,
+                `fatal: '${name}' does not appear to be a git repository\nfatal: Could not read from remote repository.`,
+                true
+            );
+            return;
+        }
+        if (options.tags || (args[1] && this.repo.tags[args[1]] && !this.repo.branches[args[1]])) {
+            this.pushTags(commandText, name, options.tags ? Object.keys(this.repo.tags).sort() : [args[1]], options.force);
+            return;
+        }
+        if (!branch) {
+            this.logCommand(commandText, `fatal: You are not currently on a branch.`, true);
+            return;
+        }
+        if (!args.length && !upstream && !options.setUpstream) {
+            this.logCommand(
+                commandText,
+                `fatal: The current branch ${branch} has no upstream branch.\n` +
+                    `To push the current branch and set the remote as upstream, use\n\n    git push --set-upstream ${name} ${branch}`,
+                true
+            );
+            return;
+        }
+        const source = args[1] || this.repo.head;
+        const localTip = this.repo.branches[source];
+        if (!localTip) {
+            this.logCommand(commandText, `error: src refspec ${source} does not match any`, true);
+            return;
+        }
+
+        const ref = `${name}/${branch}`;
+        const remoteTip = remote.branches[branch];
+        const known = remoteTip ? this.repo.localCopy(remote, remoteTip) : null;
+        const rejected = (reason, hints) => this.logCommand(
+            commandText,
+            `To ${name}\n ! [rejected]        ${source} -> ${branch} (${reason})\n` +
+                `error: failed to push some refs to '${name}'\n${hints.map(h => `hint: ${h}`).join('\n')}`,
+            true
+        );
+
+        const tracking = options.setUpstream ? `branch '${source}' set up to track '${ref}'.` : null;
+        if (remoteTip && known === localTip) {
+            if (tracking) this.repo.upstreams[source] = ref;
+            this.logCommand(commandText, [tracking, 'Everything up-to-date'].filter(Boolean).join('\n'));
+            return;
+        }
+        // --force-with-lease only overwrites what we last saw there (our origin/<branch>)
+        if (remoteTip && options.forceWithLease && known !== this.repo.remoteRefs[ref]) {
+            rejected('stale info', [
+                `The remote ${branch} moved since you last fetched it, so it may hold work you`,
+                `have never seen. Fetch and inspect it before forcing again.`
+            ]);
+            return;
+        }
+        if (remoteTip && !options.force && !options.forceWithLease) {
+            if (!known) {
+                rejected('fetch first', [
+                    'Updates were rejected because the remote contains work that you do not',
+                    'have locally. This is usually caused by another repository pushing to',
+                    'the same ref. If you want to integrate the remote changes, use',
+                    "'git pull' before pushing again."
+                ]);
+                return;
+            }
+            if (!this.repo.isAncestor(known, localTip)) {
+                rejected('non-fast-forward', [
+                    'Updates were rejected because the tip of your current branch is behind',
+                    "its remote counterpart. If you want to integrate the remote changes,",
+                    "use 'git pull' before pushing again."
+                ]);
+                return;
+            }
+        }
+
+        // Send the missing objects, move the remote branch and our tracking ref with it.
+        // The old value is what the remote had, which a force push may never have fetched.
+        remote.branches[branch] = remote.importCommit(this.repo, localTip);
+        if (!remote.branches[remote.head]) remote.head = branch;
+        this.repo.remoteRefs[ref] = localTip;
+        const lines = [`To ${name}`, this.refUpdateLine(remoteTip, remote.branches[branch], source, branch, remote)];
+        if (tracking) {
+            this.repo.upstreams[source] = ref;
+            lines.push(tracking);
+        }
+        this.logCommand(commandText, lines.join('\n'));
+    }
+
+    // Simulate someone else pushing to a remote, so fetch, pull and push have something to meet
+    simulateTeammatePush(name = 'origin', branch) {
+        const remote = this.repo.remotes[name];
+        if (!remote) {
+            this.logCommand('(teammate) git push', `No remote named '${name}' to push to; try the collaboration scenario`, true);
+            return;
+        }
+        const target = branch || (remote.branches[remote.head] ? remote.head : Object.keys(remote.branches)[0]);
+        if (!target) {
+            this.logCommand(`(teammate) git push ${name}`, `The remote ${name} is empty; push a branch to it first`, true);
+            return;
+        }
+
+        const commit = this.teammateCommit(remote, target);
+        this.logCommand(
+            `(teammate) git push ${name} ${target}`,
+            `A teammate pushed ${commit.hash} "${commit.message}" to ${name}/${target}.\nRun git fetch to see it.`
+        );
+        this.recordTimeline(`teammate pushed to ${name}/${target}`);
+        this.updateDisplay();
+    }
+
+    // Commit on a remote as a teammate, appending to their notes file
+    teammateCommit(remote, branch) {
+        const author = remote.author;
+        const path = 'notes/teammate.md';
+        const tip = remote.findCommit(remote.branches[branch]);
+        const count = (tip.tree[path] || []).length + 1;
+        remote.author = 'Teammate <teammate@example.com>';
+        const commit = remote.commitChanges(`Teammate update ${count}`, branch, {
+            [path]: [...(tip.tree[path] || []), `- Teammate change ${count}`]
+        });
+        remote.author = author;
+        return commit;
+    }
+
+    // One small auto-fitted graph per simulated remote
+    updateRemotes() {
+        const container = document.getElementById('remoteGraphs');
+        const names = Object.keys(this.repo.remotes).sort();
+        container.style.display = names.length ? 'block' : 'none';
+        const key = names.join(',');
+        if (container.dataset.remotes !== key) {
+            container.dataset.remotes = key;
+            container.innerHTML = names.map(name => `<div class="remote-graph">
+                <h4>Remote: ${escapeHtml(name)} <span class="remote-hint">(what the server has)</span></h4>
+                <canvas data-remote="${escapeHtml(name)}"></canvas>
+                <button data-remote="${escapeHtml(name)}" onclick="simulateTeammatePush(this.dataset.remote)">👥 Teammate pushes to ${escapeHtml(name)}</button>
+            </div>`).join('');
+        }
+
+        container.querySelectorAll('canvas').forEach(canvas => {
+            const remote = this.repo.remotes[canvas.dataset.remote];
+            canvas.width = canvas.offsetWidth;
+            canvas.height = canvas.offsetHeight;
+            const view = { orientation: this.view.orientation, autoFit: true, scale: 1, x: 0, y: 0 };
+            this.drawGraph(canvas, remote, view, false);
+        });
+    }
+
+    // git reflog [show] [<ref>]
+    doReflog(ref = 'HEAD') {
+        const commandText = `git reflog${ref === 'HEAD' ? '' : ` show ${ref}`}`;
+        // refs/stash keeps its entries in the stash list itself
+        const entries = ref === 'stash' ? (this.repo.stash.length ? this.repo.stash : null) : this.repo.reflogs[ref];
+        if (!entries) {
+            this.logCommand(
+                commandText,
+                `fatal: ambiguous argument '${ref}': unknown revision or path not in the working tree.`,
+                true
+            );
+            return;
+        }
+
+        const lines = entries.map((entry, n) => `${this.repo.findCommit(entry.id).hash} ${ref}@{${n}}: ${entry.message}`);
+        this.logCommand(commandText, lines.join('\n'));
+    }
+
+    doCommit(message, options = {}) {
+        if (this.repo.mergeState) {
+            this.concludeMerge();
+            return;
+        }
+
+        const msg = message || `New commit on ${this.repo.head || 'detached HEAD'}`;
+        const commandText = `git commit${options.all ? ' -a' : ''} -m "${msg}"`;
+        const current = this.repo.getCurrentCommit();
+
+        // -a stages every tracked file first; untracked files stay out
+        if (options.all) {
+            treeChanges(this.repo.index, this.repo.workdir)
+                .filter(change => change.kind !== 'new file')
+                .forEach(change => this.stagePath(change.path));
+        }
+
+        const changes = treeChanges(current.tree, this.repo.index);
+        if (!changes.length && this.repo.dirtyPaths().length) {
+            this.logCommand(
+                commandText,
+                this.repo.dirtyPaths(false).length
+                    ? `no changes added to commit (use "git add" and/or "git commit -a")`
+                    : `nothing added to commit but untracked files present (use "git add" to track)`,
+                true
+            );
+            return;
+        }
+        if (!changes.length) {
+            this.logCommand(
+                commandText,
+                `${this.repo.head ? `On branch ${this.repo.head}` : `HEAD detached at ${current.hash}`}\n` +
+                    'nothing to commit, working tree clean',
+                true
+            );
+            return;
+        }
+
+        const commit = this.repo.createCommit(msg, this.repo.head, null, { ...this.repo.index });
+        this.logCommand(
+            commandText,
+            `[${this.repo.head || 'detached HEAD'} ${commit.hash}] ${msg}\n` +
+                ` ${changes.length} file${changes.length === 1 ? '' : 's'} changed` +
+                (this.repo.head ? '' : '\nNo branch points at this commit; create one before switching away')
+        );
+    }
+
+    // The toolbar's one-click commit: on a clean tree, first stage an edit to a
+    // per-branch notes file so there is something to commit
+    quickCommit() {
+        if (!this.repo.mergeState && !this.repo.rebaseState && !this.repo.dirtyPaths().length) {
+            const path = `notes/${this.repo.head || 'detached'}.md`;
+            const lines = [...(this.repo.getCurrentCommit().tree[path] || []), `- Change ${this.repo.commitCounter}`];
+            this.repo.index[path] = lines;
+            this.repo.workdir[path] = lines;
+        }
+        this.gitCommand('commit');
+    }
+
+    concludeMerge() {
+        const state = this.repo.mergeState;
+        if (state.conflicts.length) {
+            this.logCommand(
+                `git commit`,
+                `error: Committing is not possible because you have unmerged files: ${state.conflicts.join(', ')}`,
+                true
+            );
+            return;
+        }
+
+        const commit = this.repo.createCommit(state.message, this.repo.head, state.parents, { ...this.repo.index });
+        this.repo.mergeState = null;
+        this.logCommand(`git commit`, `Concluded ${state.kind} with commit ${commit.hash}`);
+    }
+
+    // Record a merge result: commit it when clean, otherwise stop with conflicts
+    applyMergeResult(kind, result, parents, message, sides) {
+        if (!result.conflicts.length) {
+            return this.repo.createCommit(message, this.repo.head, parents, result.tree);
+        }
+
+        this.repo.mergeState = {
+            kind: kind,
+            parents: parents,
+            message: message,
+            tree: result.tree,
+            conflicts: [...result.conflicts],
+            resolved: [],
+            sides: sides
+        };
+        return null;
+    }
+
+    conflictReport(conflicts) {
+        return conflicts.map(path => `CONFLICT (content): Merge conflict in ${path}`).join('\n');
+    }
+
+    doMergeAbort() {
+        if (!this.repo.mergeState || ['rebase', 'stash'].includes(this.repo.mergeState.kind)) {
+            this.logCommand(`git merge --abort`, `fatal: There is no merge to abort (MERGE_HEAD missing).`, true);
+            return;
+        }
+        this.repo.mergeState = null;
+        this.logCommand(`git merge --abort`, `Merge aborted, ${this.repo.head || 'HEAD'} restored`);
+    }
+
+    doResolve(path, side) {
+        const state = this.repo.mergeState;
+        if (!state || !state.conflicts.includes(path)) return;
+
+        const lines = state.sides[path][side];
+        this.doMarkResolved(path, lines);
+        this.logCommand(
+            `git checkout --${side} ${path}`,
+            `Took ${side === 'ours' ? 'our' : 'their'} version of ${path}`
+        );
+    }
+
+    doMarkResolved(path, lines) {
+        const state = this.repo.mergeState;
+        if (!state || !state.conflicts.includes(path)) return;
+
+        [state.tree, this.repo.index, this.repo.workdir].forEach(tree => {
+            if (lines) {
+                tree[path] = lines;
+            } else {
+                delete tree[path];
+            }
+        });
+        this.markPathResolved(path);
+        this.logCommand(`git add ${path}`, `Marked ${path} as resolved (${state.conflicts.length} remaining)`);
+    }
+
+    // A conflicted stash pop has nothing to conclude: it ends with the last resolution
+    markPathResolved(path) {
+        const state = this.repo.mergeState;
+        state.conflicts = state.conflicts.filter(p => p !== path);
+        state.resolved.push(path);
+        if (state.kind === 'stash' && !state.conflicts.length) this.repo.mergeState = null;
+    }
+
+    // Keep each side's version of conflicted paths so the user can pick one
+    conflictSides(conflicts, ours, theirs) {
+        const sides = {};
+        conflicts.forEach(path => {
+            sides[path] = { ours: ours[path] || null, theirs: theirs[path] || null };
+        });
+        return sides;
+    }
+
+    doCheckout(branch, options = {}) {
+        if (options.create) {
+            const commandText = `git checkout -b ${branch}${options.startPoint ? ` ${options.startPoint}` : ''}`;
+            const leaving = this.repo.detachedHead;
+            const target = this.repo.resolveRevision(options.startPoint || 'HEAD');
+            if (target && this.refuseOverwrite(commandText, target)) return;
+            if (!this.createBranch(commandText, branch, options.startPoint)) return;
+            this.repo.carryOver(target);
+            this.repo.attachHead(branch);
+            this.logCommand(commandText, `${this.leavingDetachedHead(leaving)}Switched to a new branch '${branch}'`);
+            return;
+        }
+
+        const commandText = `git checkout${options.detach ? ' --detach' : ''} ${branch}`;
+        const leaving = this.repo.detachedHead;
+        if (this.repo.branches[branch] && !options.detach) {
+            if (branch === this.repo.head) {
+                this.logCommand(commandText, `Already on '${branch}'`);
+                return;
+            }
+            if (this.refuseOverwrite(commandText, this.repo.branches[branch])) return;
+            this.repo.carryOver(this.repo.branches[branch]);
+            this.repo.attachHead(branch);
+            this.logCommand(commandText, `${this.leavingDetachedHead(leaving)}Switched to branch '${branch}'`);
+        } else if (this.repo.resolveRevision(branch)) {
+            // Anything that isn't a branch name detaches HEAD at that commit
+            const id = this.repo.resolveRevision(branch);
+            const commit = this.repo.findCommit(id);
+            const wasDetached = !this.repo.head;
+            if (this.refuseOverwrite(commandText, id)) return;
+            this.repo.carryOver(id);
+            this.repo.detachHead(id);
+            this.logCommand(
+                commandText,
+                (wasDetached ? this.leavingDetachedHead(leaving) : `Note: switching to '${branch}'.\n\n` +
+                    `You are in 'detached HEAD' state. You can look around, make experimental\n` +
+                    `changes and commit them, and you can discard any commits you make in this\n` +
+                    `state without impacting any branches by switching back to a branch.\n\n` +
+                    `If you want to create a new branch to retain commits you create, you may\n` +
+                    `do so (now or later) by using -c with the switch command. Example:\n\n` +
+                    `  git switch -c <new-branch-name>\n\n`) +
+                `HEAD is now at ${commit.hash} ${commit.message.split('\n')[0]}`
+            );
+        } else {
+            this.logCommand(
+                `git checkout ${branch}`,
+                `error: pathspec '${branch}' did not match any file(s) known to git`,
+                true
+            );
+        }
+    }
+
+    // Local changes travel with a checkout unless the target commit changes those files
+    refuseOverwrite(commandText, targetId) {
+        const error = this.overwriteError(targetId);
+        if (error) this.logCommand(commandText, error, true);
+        return !!error;
+    }
+
+    overwriteError(targetId) {
+        const blocked = this.repo.blockedPaths(targetId);
+        if (!blocked.length) return null;
+        return `error: Your local changes to the following files would be overwritten by checkout:\n` +
+            `${blocked.map(p => `\t${p}`).join('\n')}\n` +
+            `Please commit your changes or stash them before you switch branches.\nAborting`;
+    }
+
+    // What git prints when HEAD leaves a detached commit: a warning if commits
+    // made there are about to become unreachable, otherwise where HEAD was
+    leavingDetachedHead(previousId) {
+        if (!previousId || previousId === this.repo.headId()) return '';
+
+        const lost = this.repo.commitsLeftBehind(previousId, this.repo.headId());
+        const previous = this.repo.findCommit(previousId);
+        if (!lost.length) {
+            return `Previous HEAD position was ${previous.hash} ${previous.message.split('\n')[0]}\n`;
+        }
+
+        const count = lost.length === 1 ? '1 commit' : `${lost.length} commits`;
+        return `Warning: you are leaving ${count} behind, not connected to\n` +
+            `any of your branches:\n\n` +
+            lost.map(c => `  ${c.hash} ${c.message.split('\n')[0]}\n`).join('') +
+            `\nIf you want to keep ${lost.length === 1 ? 'it' : 'them'} by creating a new branch, this may be a good time\n` +
+            `to do so with:\n\n git branch <new-branch-name> ${previous.hash}\n\n`;
+    }
+
+    doBranch(name, startPoint) {
+        const commandText = `git branch ${name}${startPoint ? ` ${startPoint}` : ''}`;
+        if (this.createBranch(commandText, name, startPoint)) {
+            this.logCommand(commandText, `Created new branch '${name}' from ${startPoint || this.repo.head || 'HEAD'}`);
+        }
+    }
+
+    // Shared by git branch and git checkout -b; logs its own errors
+    createBranch(commandText, name, startPoint) {
+        if (!isValidBranchName(name)) {
+            this.logCommand(commandText, `fatal: '${name}' is not a valid branch name`, true);
+            return false;
+        }
+        if (this.repo.branches[name]) {
+            this.logCommand(commandText, `fatal: a branch named '${name}' already exists`, true);
+            return false;
+        }
+
+        const target = this.repo.resolveRevision(startPoint || 'HEAD');
+        if (!target) {
+            this.logCommand(commandText, `fatal: not a valid object name: '${startPoint}'`, true);
+            return false;
+        }
+        this.repo.branches[name] = target;
+        return true;
+    }
+
+    doDeleteBranch(name, force) {
+        const commandText = `git branch ${force ? '-D' : '-d'} ${name}`;
+        const tip = this.repo.branches[name];
+        if (!tip) {
+            this.logCommand(commandText, `error: branch '${name}' not found`, true);
+            return;
+        }
+        if (name === this.repo.head) {
+            this.logCommand(commandText, `error: cannot delete branch '${name}' used by HEAD`, true);
+            return;
+        }
+        if (!force && !this.repo.isAncestor(tip, this.repo.headId())) {
+            this.logCommand(
+                commandText,
+                `error: the branch '${name}' is not fully merged.\nIf you are sure you want to delete it, run 'git branch -D ${name}'`,
+                true
+            );
+            return;
+        }
+
+        delete this.repo.branches[name];
+        this.logCommand(commandText, `Deleted branch ${name} (was ${this.repo.findCommit(tip).hash}).`);
+    }
+
+    doBranchList(options = {}) {
+        const lines = Object.keys(this.repo.branches).sort().map(branch => {
+            const marker = branch === this.repo.head ? '* ' : '  ';
+            if (!options.verbose) return `${marker}${branch}`;
+            const commit = this.repo.findCommit(this.repo.branches[branch]);
+            return `${marker}${branch} ${commit.hash} ${commit.message.split('\n')[0]}`;
+        });
+        if (!this.repo.head) {
+            const detached = this.repo.getCurrentCommit();
+            const label = `* (HEAD detached at ${detached.hash})`;
+            lines.unshift(options.verbose ? `${label} ${detached.hash} ${detached.message.split('\n')[0]}` : label);
+        }
+        this.logCommand(`git branch${options.verbose ? ' -v' : ''}`, lines.join('\n'));
+    }
+
+    // git tag [-a] [-f] [-m <msg>] <name> [<commit>]
+    doTag(name, options = {}) {
+        const flags = [options.annotate && !options.message ? ' -a' : '', options.force ? ' -f' : '',
+            options.message ? ` -m "${options.message}"` : ''].join('');
+        const commandText = `git tag${flags} ${name}${options.startPoint ? ` ${options.startPoint}` : ''}`;
+        if (!isValidBranchName(name)) {
+            this.logCommand(commandText, `fatal: '${name}' is not a valid tag name.`, true);
+            return;
+        }
+        const previous = this.repo.tags[name];
+        if (previous && !options.force) {
+            this.logCommand(commandText, `fatal: tag '${name}' already exists`, true);
+            return;
+        }
+        if (options.annotate && !options.message) {
+            this.logCommand(commandText, `fatal: no tag message given; use -m <message>`, true);
+            return;
+        }
+        const target = this.repo.resolveRevision(options.startPoint || 'HEAD');
+        if (!target) {
+            this.logCommand(commandText, `fatal: Failed to resolve '${options.startPoint}' as a valid ref.`, true);
+            return;
+        }
+
+        const was = previous && this.tagObjectHash(name);
+        this.repo.createTag(name, target, options.annotate ? options.message : null);
+        const commit = this.repo.findCommit(target);
+        this.logCommand(
+            commandText,
+            previous
+                ? `Updated tag '${name}' (was ${was})`
+                : `Created ${options.annotate ? 'annotated' : 'lightweight'} tag '${name}' at ${commit.hash} ${commit.message.split('\n')[0]}`
+        );
+    }
+
+    // Short id git reports for a tag: the tag object's for annotated tags, else the commit's
+    tagObjectHash(name) {
+        const annotated = this.repo.annotatedTags[name];
+        return annotated ? annotated.fullHash.substring(0, 7) : this.repo.findCommit(this.repo.tags[name]).hash;
+    }
+
+    doDeleteTags(names) {
+        const commandText = `git tag -d ${names.join(' ')}`;
+        const lines = [];
+        let failed = false;
+        names.forEach(name => {
+            if (!this.repo.tags[name]) {
+                lines.push(`error: tag '${name}' not found.`);
+                failed = true;
+                return;
+            }
+            lines.push(`Deleted tag '${name}' (was ${this.tagObjectHash(name)})`);
+            this.repo.deleteTag(name);
+        });
+        this.logCommand(commandText, lines.join('\n'), failed);
+    }
+
+    // git tag [-l <pattern>] [-n]: names sorted, -n adds the annotation (or commit) subject
+    doTagList(pattern, options = {}) {
+        const commandText = `git tag${options.lines ? ' -n' : ''}${pattern ? ` -l "${pattern}"` : ''}`;
+        const glob = pattern
+            ? new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`)
+            : null;
+        const names = Object.keys(this.repo.tags).filter(name => !glob || glob.test(name)).sort();
+        const width = Math.max(15, ...names.map(name => name.length));
+        this.logCommand(commandText, names.map(name => {
+            if (!options.lines) return name;
+            const annotated = this.repo.annotatedTags[name];
+            const text = annotated ? annotated.message : this.repo.findCommit(this.repo.tags[name]).message;
+            return `${name.padEnd(width)} ${text.split('\n')[0]}`;
+        }).join('\n') || 'No tags');
+    }
+
+    // git describe: the nearest tag behind a commit, as <tag>-<commits since>-g<hash>
+    doDescribe(revision, options = {}) {
+        const flags = [['tags', '--tags'], ['always', '--always'], ['long', '--long'], ['dirty', '--dirty']]
+            .filter(([key]) => options[key]).map(([, flag]) => ` ${flag}`).join('');
+        const commandText = `git describe${flags}${revision ? ` ${revision}` : ''}`;
+        const id = this.repo.resolveRevision(revision || 'HEAD');
+        if (!id) {
+            this.logCommand(commandText, `fatal: Not a valid object name ${revision}`, true);
+            return;
+        }
+
+        // Fewest commits since the tag wins; on a tie, annotated tags and then newer ones
+        const commit = this.repo.findCommit(id);
+        const tagDate = (name) => (this.repo.annotatedTags[name] || this.repo.findCommit(this.repo.tags[name])).timestamp;
+        const names = Object.keys(this.repo.tags).filter(name => options.tags || this.repo.annotatedTags[name]);
+        const best = names
+            .filter(name => this.repo.isAncestor(this.repo.tags[name], id))
+            .map(name => ({ name, distance: this.repo.commitsBetween(this.repo.tags[name], id).length }))
+            .sort((a, b) => a.distance - b.distance ||
+                !!this.repo.annotatedTags[b.name] - !!this.repo.annotatedTags[a.name] ||
+                tagDate(b.name) - tagDate(a.name))[0];
+
+        const dirty = options.dirty && !revision && this.repo.dirtyPaths(false).length ? '-dirty' : '';
+        if (best) {
+            const exact = best.distance === 0 && !options.long;
+            this.logCommand(commandText, `${best.name}${exact ? '' : `-${best.distance}-g${commit.hash}`}${dirty}`);
+        } else if (options.always) {
+            this.logCommand(commandText, `${commit.hash}${dirty}`);
+        } else if (!names.length && Object.keys(this.repo.tags).length) {
+            this.logCommand(
+                commandText,
+                `fatal: No annotated tags can describe '${commit.fullHash}'.\nHowever, there were unannotated tags: try --tags.`,
+                true
+            );
+        } else if (!names.length) {
+            this.logCommand(commandText, 'fatal: No names found, cannot describe anything.', true);
+        } else {
+            this.logCommand(
+                commandText,
+                `fatal: No ${options.tags ? '' : 'annotated '}tags can describe '${commit.fullHash}'.\nTry --always, or create some tags.`,
+                true
+            );
+        }
+    }
+
+    doMerge(branch, options = {}) {
+        const flags = [['noFf', '--no-ff'], ['ffOnly', '--ff-only'], ['squash', '--squash']]
+            .filter(([key]) => options[key])
+            .map(([, flag]) => ` ${flag}`)
+            .join('');
+        const commandText = `git merge${flags} ${branch}`;
+        const mergeTip = this.repo.resolveRevision(branch);
+        if (!mergeTip) {
+            this.logCommand(commandText, `merge: ${branch} - not something we can merge`, true);
+            return;
+        }
+        if (options.squash && options.noFf) {
+            this.logCommand(commandText, `fatal: You cannot combine --squash with --no-ff.`, true);
+            return;
+        }
+
+        const currentTip = this.repo.headId();
+
+        // Nothing new on the other side (this includes merging a branch into itself)
+        if (this.repo.isAncestor(mergeTip, currentTip)) {
+            this.logCommand(commandText, `Already up to date.`);
+            return;
+        }
+
+        const canFastForward = this.repo.isAncestor(currentTip, mergeTip);
+        if (options.ffOnly && !canFastForward) {
+            this.logCommand(commandText, `hint: Diverging branches can't be fast-forwarded.\nfatal: Not possible to fast-forward, aborting.`, true);
+            return;
+        }
+
+        const updating = `Updating ${this.repo.findCommit(currentTip).hash}..${this.repo.findCommit(mergeTip).hash}`;
+        if (canFastForward && !options.noFf && !options.squash) {
+            this.repo.moveHead(mergeTip);
+            this.logCommand(commandText, `${updating}\nFast-forward (${this.repo.head || 'HEAD'} moved, no merge commit)`);
+            return;
+        }
+
+        const baseId = this.repo.mergeBase(currentTip, mergeTip);
+        const base = this.repo.findCommit(baseId);
+        const ours = this.repo.findCommit(currentTip);
+        const theirs = this.repo.findCommit(mergeTip);
+        if (base) this.phase(`find merge base ${base.hash}`, [baseId]);
+
+        const result = this.repo.mergeTrees(base ? base.tree : {}, ours.tree, theirs.tree, 'HEAD', branch);
+
+        // --squash stages the merged result but records no second parent and no commit yet
+        if (options.squash) {
+            const squashed = this.repo.commitsBetween(currentTip, mergeTip).reverse();
+            this.repo.mergeState = {
+                kind: 'squash',
+                parents: [currentTip],
+                message: `Squashed commit of the following:\n\n${squashed.map(c => `${c.hash} ${c.message.split('\n')[0]}`).join('\n')}`,
+                tree: result.tree,
+                conflicts: [...result.conflicts],
+                resolved: [],
+                sides: this.conflictSides(result.conflicts, ours.tree, theirs.tree)
+            };
+            this.logCommand(
+                commandText,
+                result.conflicts.length
+                    ? `${this.conflictReport(result.conflicts)}\nSquash commit -- not updating HEAD\nAutomatic merge failed; fix conflicts and then commit the result.`
+                    : `${canFastForward ? `${updating}\nFast-forward\n` : ''}Squash commit -- not updating HEAD\nAutomatic merge went well; stopped before committing as requested`,
+                result.conflicts.length > 0
+            );
+            return;
+        }
+
+        const mergeCommit = this.applyMergeResult(
+            'merge',
+            result,
+            [currentTip, mergeTip],
+            this.repo.branches[branch]
+                ? `Merge branch '${branch}' into ${this.repo.head || 'HEAD'}`
+                : (this.repo.remoteRefs[branch]
+                    ? `Merge remote-tracking branch '${branch}' into ${this.repo.head || 'HEAD'}`
+                    : `Merge commit '${theirs.hash}' into ${this.repo.head || 'HEAD'}`),
+            this.conflictSides(result.conflicts, ours.tree, theirs.tree)
+        );
+
+        if (!mergeCommit) {
+            this.logCommand(
+                commandText,
+                `${this.conflictReport(result.conflicts)}\nAutomatic merge failed; fix conflicts and then commit the result.`,
+                true
+            );
+            return;
+        }
+
+        this.logCommand(
+            commandText,
+            `Merged ${branch} into ${this.repo.head || 'HEAD'} (merge commit: ${mergeCommit.hash})`
+        );
+    }
+
+    doRebase(targetBranch) {
+        const targetTip = this.repo.resolveRevision(targetBranch);
+        if (!targetTip) {
+            this.logCommand(`git rebase ${targetBranch}`, `fatal: invalid upstream '${targetBranch}'`, true);
+            return;
+        }
+
+        // A detached HEAD is rebased too, and stays detached at the rewritten tip
+        const currentBranch = this.repo.head || 'HEAD';
+        const currentTip = this.repo.headId();
+
+        if (this.repo.isAncestor(targetTip, currentTip)) {
+            this.logCommand(`git rebase ${targetBranch}`, `Current branch ${currentBranch} is up to date.`);
+            return;
+        }
+        if (this.repo.isAncestor(currentTip, targetTip)) {
+            this.repo.moveHead(targetTip);
+            this.logCommand(
+                `git rebase ${targetBranch}`,
+                `Fast-forwarded ${currentBranch} to ${targetBranch}.`
+            );
+            return;
+        }
+
+        // Replay commits unique to the current branch (merges are linearized away)
+        const baseId = this.repo.mergeBase(currentTip, targetTip);
+        if (baseId) this.phase(`find merge base ${this.repo.findCommit(baseId).hash}`, [baseId]);
+        const todo = this.rebaseTodoFor(targetTip, currentTip);
+        this.startRebase(this.repo.head, targetTip, todo, false);
+        this.phase(`start ${currentBranch} at ${targetBranch} to replay ${todo.length} commit${todo.length === 1 ? '' : 's'}`, [targetTip]);
+        this.runRebase(`git rebase ${targetBranch}`);
+    }
+
+    // Commits to replay, oldest first; merges are linearized away like plain git rebase
+    rebaseTodoFor(upstream, tip) {
+        return this.repo.commitsBetween(upstream, tip)
+            .filter(c => c.parents.length === 1)
+            .map(c => ({ action: 'pick', id: c.id, message: c.message }));
+    }
+
+    // `branch` is null when rebasing a detached HEAD
+    startRebase(branch, onto, todo, interactive) {
+        this.repo.rebaseState = {
+            branch: branch,
+            onto: onto,
+            origHead: this.repo.headId(),
+            todo: todo,
+            current: null,
+            replayed: [],
+            interactive: interactive,
+            animating: false
+        };
+        this.repo.moveHead(onto);
+    }
+
+    // Replay the remaining todo list, stopping at the first conflict.
+    // Interactive rebases replay one step at a time so the rewrite is visible.
+    runRebase(commandText, before) {
+        const state = this.repo.rebaseState;
+        if (state.interactive) {
+            this.animateRebase(commandText, before);
+            return;
+        }
+
+        while (state.todo.length) {
+            const line = this.rebaseStepLine();
+            const outcome = this.rebaseStep();
+            if (outcome.conflicts) {
+                this.logCommand(commandText, this.rebaseConflictMessage(outcome), true);
+                return;
+            }
+            this.phase(line, [this.repo.headId()]);
+        }
+        this.finishRebase(commandText);
+    }
+
+    animateRebase(commandText, before = this.repo.refSnapshot()) {
+        const state = this.repo.rebaseState;
+        state.animating = true;
+
+        const tick = () => {
+            if (!state.todo.length) {
+                state.animating = false;
+                this.finishRebase(commandText);
+                this.syncWorkingTree();
+                this.commandFinished(before, state.branch
+                    ? `rebase -i (finish): returning to refs/heads/${state.branch}`
+                    : 'rebase -i (finish)');
+                this.updateDisplay();
+                return;
+            }
+
+            const step = state.todo[0];
+            const original = this.repo.findCommit(step.id);
+            const line = this.rebaseStepLine();
+            this.recordFrames();
+            const outcome = this.rebaseStep();
+            this.syncWorkingTree();
+            if (outcome.conflicts) {
+                state.animating = false;
+                this.logCommand(line, this.rebaseConflictMessage(outcome), true);
+                this.commandFinished(before, `rebase -i (pick): ${original.message.split('\n')[0]}`, commandText);
+                this.playFrames();
+                this.updateDisplay();
+                return;
+            }
+
+            this.phase(line, [this.repo.headId()]);
+            this.logCommand(line, outcome.description);
+            this.playFrames();
+            this.updateDisplay();
+            this.afterAnimation(tick);
+        };
+        tick();
+    }
+
+    // The todo line about to run, as git echoes it
+    rebaseStepLine() {
+        const step = this.repo.rebaseState.todo[0];
+        const original = this.repo.findCommit(step.id);
+        return `${step.action} ${original.hash} ${original.message.split('\n')[0]}`;
+    }
+
+    // Apply one todo entry onto the branch being rebased
+    rebaseStep() {
+        const state = this.repo.rebaseState;
+        const step = state.todo.shift();
+        const original = this.repo.findCommit(step.id);
+        const parent = this.repo.findCommit(original.parents[0]);
+        const current = this.repo.getCurrentCommit();
+        state.current = step;
+
+        const record = (description) => {
+            state.replayed.push(`${original.hash} ${description}`);
+            return { description };
+        };
+
+        if (step.action === 'drop') {
+            return record('dropped');
+        }
+
+        // Untouched history is reused as-is instead of being rewritten
+        if (step.action === 'pick' && original.parents[0] === current.id) {
+            this.repo.moveHead(original.id);
+            return record('unchanged');
+        }
+
+        const squashing = step.action === 'squash' || step.action === 'fixup';
+        const result = this.repo.mergeTrees(
+            parent ? parent.tree : {},
+            current.tree,
+            original.tree,
+            'HEAD',
+            `${original.hash} (${original.message})`
+        );
+
+        // Changes that are already upstream produce no new commit
+        if (!squashing && !result.conflicts.length && sameTree(result.tree, current.tree)) {
+            return record('dropped (already upstream)');
+        }
+
+        // Squash and fixup fold the change into the commit just replayed
+        let message = step.action === 'reword' ? step.message : original.message;
+        if (step.action === 'squash') message = `${current.message}\n\n${original.message}`;
+        if (step.action === 'fixup') message = current.message;
+
+        const replayed = this.applyMergeResult(
+            'rebase',
+            result,
+            squashing ? current.parents : [current.id],
+            message,
+            this.conflictSides(result.conflicts, current.tree, original.tree)
+        );
+        if (!replayed) {
+            return { conflicts: result.conflicts, original };
+        }
+        return record(squashing ? `→ ${replayed.hash} (${step.action} into ${current.hash})` : `→ ${replayed.hash}`);
+    }
+
+    rebaseConflictMessage(outcome) {
+        return `${this.conflictReport(outcome.conflicts)}\n` +
+            `error: could not apply ${outcome.original.hash}... ${outcome.original.message.split('\n')[0]}\n` +
+            `Resolve all conflicts manually, mark them as resolved with "git add", then run "git rebase --continue".`;
+    }
+
+    finishRebase(commandText) {
+        const state = this.repo.rebaseState;
+        this.repo.rebaseState = null;
+        this.logCommand(
+            commandText,
+            `Successfully rebased and updated ${state.branch ? `refs/heads/${state.branch}` : 'detached HEAD'}.` +
+            (state.replayed.length ? `\n${state.replayed.join('\n')}` : '')
+        );
+    }
+
+    doRebaseInteractive(targetBranch) {
+        const targetTip = this.repo.resolveRevision(targetBranch);
+        if (!targetTip) {
+            this.logCommand(`git rebase -i ${targetBranch}`, `fatal: invalid upstream '${targetBranch}'`, true);
+            return;
+        }
+
+        const currentTip = this.repo.headId();
+        const entries = this.rebaseTodoFor(targetTip, currentTip);
+        if (!entries.length) {
+            this.logCommand(`git rebase -i ${targetBranch}`, `Current branch ${this.repo.head || 'HEAD'} is up to date.`);
+            return;
+        }
+
+        this.rebaseTodo = {
+            branch: this.repo.head,
+            onto: targetBranch,
+            ontoId: targetTip,
+            origHead: currentTip,
+            entries: entries
+        };
+        this.logCommand(
+            `git rebase -i ${targetBranch}`,
+            `Editing todo list: ${entries.length} commit${entries.length > 1 ? 's' : ''} onto ${targetBranch}`
+        );
+    }
+
+    editTodo(index, field, value) {
+        this.rebaseTodo.entries[index][field] = value;
+        this.updateRebaseEditor();
+    }
+
+    moveTodo(index, delta) {
+        const entries = this.rebaseTodo.entries;
+        const target = index + delta;
+        if (target < 0 || target >= entries.length) return;
+        [entries[index], entries[target]] = [entries[target], entries[index]];
+        this.updateRebaseEditor();
+    }
+
+    cancelRebaseTodo() {
+        this.rebaseTodo = null;
+        this.logCommand(`git rebase -i`, `Rebase cancelled: nothing to do`);
+        this.updateDisplay();
+    }
+
+    startRebaseTodo() {
+        const plan = this.rebaseTodo;
+        const commandText = `git rebase -i ${plan.onto}`;
+
+        if (this.repo.head !== plan.branch || this.repo.headId() !== plan.origHead) {
+            this.rebaseTodo = null;
+            this.logCommand(commandText, `error: ${plan.branch || 'HEAD'} moved while the todo list was open; start again`, true);
+            this.updateDisplay();
+            return;
+        }
+
+        const first = plan.entries.find(e => e.action !== 'drop');
+        if (first && (first.action === 'squash' || first.action === 'fixup')) {
+            this.logCommand(commandText, `error: cannot '${first.action}' without a previous commit`, true);
+            return;
+        }
+        const dirtyError = this.dirtyTreeError('rebase-interactive');
+        if (dirtyError) {
+            this.logCommand(commandText, dirtyError, true);
+            return;
+        }
+
+        this.rebaseTodo = null;
+        const before = this.repo.refSnapshot();
+        this.recordFrames();
+        this.startRebase(plan.branch, plan.ontoId, plan.entries.map(e => ({ ...e })), true);
+        this.phase(`start ${plan.branch || 'HEAD'} at ${plan.onto}`, [plan.ontoId]);
+        this.runRebase(commandText, before);
+        this.playFrames();
+        this.updateDisplay();
+    }
+
+    doRebaseContinue() {
+        const state = this.repo.rebaseState;
+        if (!state) {
+            this.logCommand(`git rebase --continue`, `fatal: No rebase in progress?`, true);
+            return;
+        }
+        if (state.animating) return;
+
+        if (this.repo.mergeState) {
+            if (this.repo.mergeState.conflicts.length) {
+                this.logCommand(
+                    `git rebase --continue`,
+                    `error: you must edit all merge conflicts and then mark them as resolved using git add`,
+                    true
+                );
+                return;
+            }
+            const merge = this.repo.mergeState;
+            const replayed = this.repo.createCommit(merge.message, this.repo.head, merge.parents, { ...this.repo.index });
+            state.replayed.push(`${this.repo.findCommit(state.current.id).hash} → ${replayed.hash}`);
+            this.repo.mergeState = null;
+        }
+
+        this.runRebase(`git rebase --continue`);
+    }
+
+    doRebaseSkip() {
+        if (!this.repo.rebaseState) {
+            this.logCommand(`git rebase --skip`, `fatal: No rebase in progress?`, true);
+            return;
+        }
+        if (this.repo.rebaseState.animating) return;
+        this.repo.mergeState = null;
+        this.runRebase(`git rebase --skip`);
+    }
+
+    doRebaseAbort() {
+        const state = this.repo.rebaseState;
+        if (!state) {
+            this.logCommand(`git rebase --abort`, `fatal: No rebase in progress?`, true);
+            return;
+        }
+        if (state.animating) return;
+        this.repo.moveHead(state.origHead);
+        this.repo.mergeState = null;
+        this.repo.rebaseState = null;
+        this.logCommand(
+            `git rebase --abort`,
+            `Rebase aborted; ${state.branch || 'HEAD'} restored to ${this.repo.findCommit(state.origHead).hash}`
+        );
+    }
+
+    doReset(mode = 'mixed', target = 'HEAD~1') {
+        const commandText = `git reset --${mode} ${target}`;
+        const targetId = this.repo.resolveRevision(target);
+        if (!targetId) {
+            this.logCommand(
+                commandText,
+                `fatal: ambiguous argument '${target}': unknown revision or path not in the working tree.`,
+                true
+            );
+            return;
+        }
+
+        if (mode === 'soft' && this.repo.mergeState) {
+            this.logCommand(commandText, `fatal: Cannot do a soft reset in the middle of a merge.`, true);
+            return;
+        }
+
+        // --soft moves HEAD only, --mixed also resets the index, --hard resets everything
+        const commit = this.repo.findCommit(targetId);
+        this.repo.moveHead(targetId);
+        this.repo.mergeState = null;
+        if (mode === 'hard') {
+            this.repo.checkoutTree(commit.tree);
+        } else if (mode === 'mixed') {
+            this.repo.index = { ...commit.tree };
+        }
+
+        const name = this.repo.head || 'HEAD';
+        if (mode === 'hard') {
+            this.logCommand(commandText, `HEAD is now at ${commit.hash} ${commit.message.split('\n')[0]}`);
+        } else if (mode === 'mixed') {
+            const unstaged = treeChanges(this.repo.index, this.repo.workdir).filter(c => c.kind !== 'new file');
+            this.logCommand(
+                commandText,
+                unstaged.length
+                    ? `Unstaged changes after reset:\n${unstaged.map(c => `${c.kind === 'deleted' ? 'D' : 'M'}\t${c.path}`).join('\n')}`
+                    : `Moved ${name} to ${commit.hash}; index reset, working tree untouched`
+            );
+        } else {
+            const staged = treeChanges(commit.tree, this.repo.index).length;
+            this.logCommand(
+                commandText,
+                `Moved ${name} to ${commit.hash}; index and working tree untouched` +
+                    (staged ? ` (${staged} file${staged === 1 ? '' : 's'} now staged)` : '')
+            );
+        }
+    }
+
+    doCherryPick(revisions) {
+        if (!revisions || !revisions.length) {
+            // Button shortcut: pick the tip of the first other branch
+            const otherBranches = Object.keys(this.repo.branches).filter(b => b !== this.repo.head);
+            if (!otherBranches.length) {
+                this.logCommand(`git cherry-pick`, `No other branches to cherry-pick from`, true);
+                return;
+            }
+            revisions = [otherBranches[0]];
+        }
+
+        const ids = [];
+        for (const revision of revisions) {
+            const id = this.repo.resolveRevision(revision);
+            if (!id) {
+                this.logCommand(`git cherry-pick ${revisions.join(' ')}`, `fatal: bad revision '${revision}'`, true);
+                return;
+            }
+            ids.push(id);
+        }
+
+        // Picks apply in order and stop at the first conflict, like git's sequencer
+        for (const id of ids) {
+            const picked = this.repo.findCommit(id);
+            if (!this.cherryPickOne(picked)) return;
+            this.phase(`pick ${picked.hash} ${picked.message.split('\n')[0]}`, [this.repo.headId()]);
+        }
+    }
+
+    cherryPickOne(pickedCommit) {
+        if (pickedCommit.parents.length > 1) {
+            this.logCommand(
+                `git cherry-pick ${pickedCommit.hash}`,
+                `error: commit ${pickedCommit.hash} is a merge but no -m option was given.`,
+                true
+            );
+            return false;
+        }
+
+        // Apply the picked commit's own change: diff against its parent, onto HEAD
+        const pickedParent = this.repo.findCommit(pickedCommit.parents[0]);
+        const current = this.repo.getCurrentCommit();
+        const result = this.repo.mergeTrees(
+            pickedParent ? pickedParent.tree : {},
+            current.tree,
+            pickedCommit.tree,
+            'HEAD',
+            `${pickedCommit.hash} (${pickedCommit.message})`
+        );
+        const picked = this.applyMergeResult(
+            'cherry-pick',
+            result,
+            [current.id],
+            `Cherry-picked: ${pickedCommit.message}`,
+            this.conflictSides(result.conflicts, current.tree, pickedCommit.tree)
+        );
+        if (!picked) {
+            this.logCommand(
+                `git cherry-pick ${pickedCommit.hash}`,
+                `${this.conflictReport(result.conflicts)}\nerror: could not apply ${pickedCommit.hash}`,
+                true
+            );
+            return false;
+        }
+        this.logCommand(
+            `git cherry-pick ${pickedCommit.hash}`,
+            `Applied commit ${pickedCommit.hash} to ${this.repo.head || 'HEAD'}`
+        );
+        return true;
+    }
+
+    // Amending writes a replacement commit; the original is left dangling
+    doAmend(message) {
+        const current = this.repo.getCurrentCommit();
+        if (current) {
+            const amended = this.repo.createCommit(
+                message || current.message + ' (amended)',
+                this.repo.head,
+                current.parents,
+                { ...this.repo.index }
+            );
+            this.logCommand(`git commit --amend`, `Amended last commit: ${current.hash} → ${amended.hash}`);
+        }
+    }
+
+    doRevert(revision = 'HEAD') {
+        const commandText = `git revert ${revision}`;
+        const id = this.repo.resolveRevision(revision);
+        if (!id) {
+            this.logCommand(commandText, `fatal: bad revision '${revision}'`, true);
+            return;
+        }
+
+        // Undo the commit's change: merge its parent's tree over it onto HEAD
+        const reverted = this.repo.findCommit(id);
+        const parent = this.repo.findCommit(reverted.parents[0]);
+        const current = this.repo.getCurrentCommit();
+        const result = this.repo.mergeTrees(
+            reverted.tree,
+            current.tree,
+            parent ? parent.tree : {},
+            'HEAD',
+            `parent of ${reverted.hash} (${reverted.message})`
+        );
+        const revertCommit = this.applyMergeResult(
+            'revert',
+            result,
+            [current.id],
+            `Revert "${reverted.message}"`,
+            this.conflictSides(result.conflicts, current.tree, parent ? parent.tree : {})
+        );
+        if (!revertCommit) {
+            this.logCommand(
+                commandText,
+                `${this.conflictReport(result.conflicts)}\nerror: could not revert ${reverted.hash}`,
+                true
+            );
+            return;
+        }
+        this.logCommand(commandText, `Created revert commit for ${reverted.hash}`);
+    }
+
+    // git log [--oneline] [--graph] [--all] [-n N] [revisions...]
+    doLog(revisions, options = {}) {
+        const flags = ['--oneline', '--graph', '--all'].filter(f => options[f.slice(2)]);
+        const count = options.maxCount !== undefined ? [`-n ${options.maxCount}`] : [];
+        const commandText = ['git log', ...flags, ...count, ...(revisions || [])].join(' ');
+
+        const starts = options.all
+            ? [...Object.values(this.repo.branches), ...Object.values(this.repo.tags), ...Object.values(this.repo.remoteRefs),
+                ...this.repo.stash.slice(0, 1).map(e => e.id), this.repo.headId()]
+            : [];
+        const words = revisions && revisions.length ? revisions : [];
+        const range = this.repo.revisionRange(words.length || options.all ? words : ['HEAD'], starts);
+        if (range.error) {
+            this.logCommand(
+                commandText,
+                `fatal: ambiguous argument '${range.error}': unknown revision or path not in the working tree.`,
+                true
+            );
+            return;
+        }
+        // Ranges are easier to follow on the graph than in a list
+        if (words.some(word => word.includes('..') || word.startsWith('^'))) this.rangeQuery = words.join(' ');
+
+        let commits = this.repo.commits.filter(c => range.ids.has(c.id)).reverse();
+        // Lanes come from the whole walk; -n only stops the output early
+        const graph = options.graph ? this.graphPrefixes(commits) : null;
+        if (options.maxCount !== undefined) commits = commits.slice(0, options.maxCount);
+        const lines = [];
+        commits.forEach((commit, index) => {
+            const prefix = graph ? graph.prefixes[index] : '';
+            const continuation = graph ? graph.continuations[index] : '';
+            const refs = this.decorations(commit.id);
+            const decoration = refs.length ? ` (${refs.join(', ')})` : '';
+
+            if (graph) lines.push(...graph.connectors[index]);
+            if (options.oneline) {
+                lines.push(`${prefix}${commit.hash}${decoration} ${commit.message.split('\n')[0]}`);
+                return;
+            }
+            lines.push(`${prefix}commit ${commit.fullHash}${decoration}`);
+            if (commit.parents.length > 1) {
+                lines.push(`${continuation}Merge: ${commit.parents.map(id => this.repo.findCommit(id).hash).join(' ')}`);
+            }
+            lines.push(`${continuation}Author: ${commit.author}`);
+            lines.push(`${continuation}Date:   ${new Date(commit.timestamp).toUTCString()}`);
+            lines.push(continuation);
+            commit.message.split('\n').forEach(line => lines.push(`${continuation}    ${line}`));
+            if (index < commits.length - 1) lines.push(continuation);
+        });
+
+        this.logCommand(commandText, lines.join('\n') || 'No commits to show');
+    }
+
+    // Ref names pointing at a commit, formatted like git log --decorate
+    decorations(id) {
+        const bisect = this.repo.bisect;
+        const refs = Object.keys(this.repo.branches)
+            .filter(branch => this.repo.branches[branch] === id)
+            .map(branch => branch === this.repo.head ? `HEAD -> ${branch}` : branch)
+            .concat(Object.keys(this.repo.tags).filter(tag => this.repo.tags[tag] === id).map(tag => `tag: ${tag}`))
+            .concat(Object.keys(this.repo.remoteRefs).filter(ref => this.repo.remoteRefs[ref] === id))
+            .concat(this.repo.stash.length && this.repo.stash[0].id === id ? ['refs/stash'] : [])
+            .concat(bisect && bisect.bad === id ? ['refs/bisect/bad'] : [])
+            .concat(bisect && bisect.good.includes(id) ? [`refs/bisect/good-${this.repo.findCommit(id).fullHash}`] : []);
+        return !this.repo.head && this.repo.detachedHead === id ? ['HEAD', ...refs] : refs;
+    }
+
+    // Column-based ASCII graph for commits listed newest first
+    graphPrefixes(commits) {
+        const shown = new Set(commits.map(c => c.id));
+        const columns = [];
+        const prefixes = [];
+        const continuations = [];
+        const connectors = commits.map(() => []);
+
+        // Column i is drawn at character 2i; diagonals sit between columns
+        const line = (width, marks) => {
+            const chars = new Array(width * 2).fill(' ');
+            marks.forEach(([pos, ch]) => { chars[pos] = ch; });
+            return chars.join('').replace(/\s+$/, '') + ' ';
+        };
+
+        commits.forEach((commit, index) => {
+            let col = columns.indexOf(commit.id);
+            if (col === -1) {
+                col = columns.length;
+                columns.push(commit.id);
+            }
+            prefixes.push(line(columns.length, columns.map((id, i) => [i * 2, i === col ? '*' : '|'])));
+
+            const pending = index + 1 < commits.length ? connectors[index + 1] : [];
+            const parents = commit.parents.filter(id => shown.has(id));
+            if (!parents.length) {
+                columns.splice(col, 1);
+            } else {
+                columns[col] = parents[0];
+                parents.slice(1).forEach(parent => {
+                    if (columns.includes(parent)) return;
+                    const added = col + 1;
+                    columns.splice(added, 0, parent);
+                    pending.push(line(columns.length, columns.map((id, i) =>
+                        i < added ? [i * 2, '|'] : [i * 2 - 1, '\\']
+                    )));
+                });
+            }
+            continuations.push(line(columns.length, columns.map((id, i) => [i * 2, '|'])));
+
+            // Two columns waiting for the same commit join into one
+            for (let j = columns.length - 1; j > 0; j--) {
+                if (columns.indexOf(columns[j]) < j) {
+                    pending.push(line(columns.length, columns.map((id, i) =>
+                        i < j ? [i * 2, '|'] : [i * 2 - 1, '/']
+                    )));
+                    columns.splice(j, 1);
+                }
+            }
+        });
+
+        return { prefixes, continuations, connectors };
+    }
+
+    doStatus() {
+        const lines = [this.repo.head ? `On branch ${this.repo.head}` : `HEAD detached at ${this.repo.getCurrentCommit().hash}`];
+        const merge = this.repo.mergeState;
+        const rebase = this.repo.rebaseState;
+
+        if (this.repo.head && this.repo.upstreams[this.repo.head]) {
+            lines.push(...this.trackingSummary(this.repo.head));
+        }
+        if (rebase) {
+            lines.push(`${rebase.interactive ? 'interactive ' : ''}rebase in progress; onto ${this.repo.findCommit(rebase.onto).hash}`);
+        }
+        if (this.repo.bisect) {
+            const start = this.repo.bisect.start;
+            lines.push(start ? `You are currently bisecting, started from branch '${start}'.` : 'You are currently bisecting.',
+                '  (use "git bisect reset" to get back to the original branch)');
+        }
+        if (merge && merge.kind === 'stash') {
+            // git status shows only the unmerged paths after a conflicted stash apply
+        } else if (merge && merge.kind === 'rebase') {
+            const onto = this.repo.findCommit(rebase.onto).hash;
+            lines.push(
+                rebase.branch ? `You are currently rebasing branch '${rebase.branch}' on '${onto}'.` : `You are currently rebasing on '${onto}'.`,
+                merge.conflicts.length ? '  (fix conflicts and then run "git rebase --continue")' : '  (all conflicts fixed: run "git rebase --continue")',
+                '  (use "git rebase --skip" to skip this patch)',
+                '  (use "git rebase --abort" to check out the original branch)'
+            );
+        } else if (merge && merge.conflicts.length) {
+            lines.push('You have unmerged paths.', '  (fix conflicts and run "git commit")');
+        } else if (merge && merge.kind !== 'squash') {
+            lines.push('All conflicts fixed but you are still merging.', '  (use "git commit" to conclude merge)');
+        }
+
+        const conflicted = merge ? merge.conflicts : [];
+        const staged = treeChanges(this.repo.getCurrentCommit().tree, this.repo.index)
+            .filter(c => !conflicted.includes(c.path));
+        const notStaged = treeChanges(this.repo.index, this.repo.workdir)
+            .filter(c => !conflicted.includes(c.path));
+        const unstaged = notStaged.filter(c => c.kind !== 'new file');
+        const untracked = notStaged.filter(c => c.kind === 'new file');
+        const entry = (c) => `\t${`${c.kind}:`.padEnd(12)}${c.path}`;
+
+        if (staged.length) {
+            lines.push('', 'Changes to be committed:', '  (use "git restore --staged <file>..." to unstage)', ...staged.map(entry));
+        }
+        if (conflicted.length) {
+            lines.push('', 'Unmerged paths:', '  (use "git add <file>..." to mark resolution)',
+                ...conflicted.map(path => {
+                    // Modified on one side, deleted on the other (a reordered todo can do this)
+                    const sides = merge.sides && merge.sides[path];
+                    const how = sides && !sides.ours ? 'deleted by us:' : sides && !sides.theirs ? 'deleted by them:' : 'both modified:';
+                    return `\t${how.padEnd(17)}${path}`;
+                }));
+        }
+        if (unstaged.length) {
+            lines.push('', 'Changes not staged for commit:', '  (use "git add <file>..." to update what will be committed)',
+                '  (use "git restore <file>..." to discard changes in working directory)', ...unstaged.map(entry));
+        }
+        if (untracked.length) {
+            lines.push('', 'Untracked files:', '  (use "git add <file>..." to include in what will be committed)',
+                ...untracked.map(c => `\t${c.path}`));
+        }
+
+        if (!staged.length && !conflicted.length) {
+            lines.push('');
+            if (unstaged.length) {
+                lines.push('no changes added to commit (use "git add" and/or "git commit -a")');
+            } else if (untracked.length) {
+                lines.push('nothing added to commit but untracked files present (use "git add" to track)');
+            } else if (!merge) {
+                lines.push('nothing to commit, working tree clean');
+            }
+        }
+        this.logCommand('git status', lines.join('\n').replace(/\n+$/, ''));
+    }
+
+    // Copy a path from the working directory into the index (removing it if deleted)
+    stagePath(path) {
+        if (this.repo.workdir[path]) {
+            this.repo.index[path] = this.repo.workdir[path];
+        } else {
+            delete this.repo.index[path];
+        }
+    }
+
+    doAdd(pathspecs, options = {}) {
+        const commandText = `git add ${options.all ? '-A' : pathspecs.join(' ')}`.trim();
+        const known = [...new Set([...Object.keys(this.repo.index), ...Object.keys(this.repo.workdir)])];
+        const specs = options.all ? ['.'] : pathspecs;
+        if (!specs.length) {
+            this.logCommand(commandText, `Nothing specified, nothing added.\nhint: Maybe you wanted to say 'git add .'?`, true);
+            return;
+        }
+        const missing = specs.find(spec => !matchPaths([spec], known).length);
+        if (missing) {
+            this.logCommand(commandText, `fatal: pathspec '${missing}' did not match any files`, true);
+            return;
+        }
+
+        // Adding a conflicted file marks it resolved with the working-tree content
+        const merge = this.repo.mergeState;
+        const paths = matchPaths(specs, known);
+        const staged = paths.filter(path => !sameLines(this.repo.index[path], this.repo.workdir[path]) ||
+            (merge && merge.conflicts.includes(path)));
+        staged.forEach(path => {
+            if (merge && merge.conflicts.includes(path)) this.markPathResolved(path);
+            this.stagePath(path);
+        });
+        this.logCommand(commandText, staged.length ? `Staged ${staged.join(', ')}` : 'Nothing new to stage');
+    }
+
+    // git restore [--staged] [--worktree] <pathspec>...
+    doRestore(pathspecs, options = {}) {
+        const staged = !!options.staged;
+        const worktree = !!options.worktree || !staged;
+        const flags = `${staged ? ' --staged' : ''}${options.worktree ? ' --worktree' : ''}`;
+        const commandText = `git restore${flags} ${pathspecs.join(' ')}`;
+        if (!pathspecs.length) {
+            this.logCommand(commandText, `fatal: you must specify path(s) to restore`, true);
+            return;
+        }
+
+        const head = this.repo.getCurrentCommit().tree;
+        const source = staged ? head : this.repo.index;
+        const known = Object.keys({ ...source, ...this.repo.index });
+        const missing = pathspecs.find(spec => !matchPaths([spec], known).length);
+        if (missing) {
+            this.logCommand(commandText, `error: pathspec '${missing}' did not match any file(s) known to git`, true);
+            return;
+        }
+
+        const paths = matchPaths(pathspecs, known);
+        paths.forEach(path => {
+            const targets = [staged && this.repo.index, worktree && this.repo.workdir].filter(Boolean);
+            targets.forEach(area => {
+                if (source[path]) {
+                    area[path] = source[path];
+                } else {
+                    delete area[path];
+                }
+            });
+        });
+        this.logCommand(
+            commandText,
+            `Restored ${paths.join(', ')} in the ${[staged && 'index', worktree && 'working tree'].filter(Boolean).join(' and ')} from ${staged ? 'HEAD' : 'the index'}`
+        );
+    }
+
+    // git diff shows unstaged changes; --staged compares the index with HEAD
+    doDiff(pathspecs = [], options = {}) {
+        const commandText = `git diff${options.staged ? ' --staged' : ''}${pathspecs.length ? ` ${pathspecs.join(' ')}` : ''}`;
+        const from = options.staged ? this.repo.getCurrentCommit().tree : this.repo.index;
+        const to = options.staged ? this.repo.index : this.repo.workdir;
+
+        // Untracked files don't show up in a plain git diff
+        let changes = treeChanges(from, to).filter(c => options.staged || c.kind !== 'new file');
+        if (pathspecs.length) changes = changes.filter(c => matchPaths(pathspecs, [c.path]).length);
+        this.logCommand(
+            commandText,
+            changes.map(c => unifiedDiff(c.path, from[c.path], to[c.path])).join('\n') ||
+                (options.staged ? 'No staged changes' : 'No unstaged changes')
+        );
+    }
+
+    doRevParse(revisions) {
+        const commandText = `git rev-parse ${(revisions || []).join(' ')}`;
+        const lines = [];
+        for (const revision of revisions || []) {
+            const id = this.repo.resolveRevision(revision);
+            if (!id) {
+                this.logCommand(
+                    commandText,
+                    `fatal: ambiguous argument '${revision}': unknown revision or path not in the working tree.`,
+                    true
+                );
+                return;
+            }
+            lines.push(this.repo.findCommit(id).fullHash);
+        }
+        this.logCommand(commandText, lines.join('\n'));
+    }
+
+    // git stash push: record the index and working tree as commits, then clean up.
+    // The stash commit W has HEAD and the index commit I as parents, plus the
+    // untracked-files commit U with -u, exactly as git builds them.
+    doStash(message, options = {}) {
+        const flags = [['includeUntracked', ' -u'], ['keepIndex', ' --keep-index']]
+            .filter(([key]) => options[key]).map(([, flag]) => flag).join('');
+        const commandText = `git stash${flags}${message ? ` -m "${message}"` : ''}`;
+        const repo = this.repo;
+        const head = repo.getCurrentCommit();
+        const untrackedPaths = Object.keys(repo.workdir).filter(path => !(path in repo.index)).sort();
+        if (!repo.dirtyPaths(false).length && !(options.includeUntracked && untrackedPaths.length)) {
+            this.logCommand(commandText, 'No local changes to save');
+            return;
+        }
+
+        const on = `${repo.head || '(no branch)'}: ${head.hash} ${head.message.split('\n')[0]}`;
+        const tracked = {};
+        Object.keys(repo.workdir).forEach(path => {
+            if (path in repo.index) tracked[path] = repo.workdir[path];
+        });
+        const indexCommit = repo.writeCommit(`index on ${on}`, 'stash', [head.id], { ...repo.index });
+        const parents = [head.id, indexCommit.id];
+        if (options.includeUntracked && untrackedPaths.length) {
+            const untracked = {};
+            untrackedPaths.forEach(path => { untracked[path] = repo.workdir[path]; });
+            parents.push(repo.writeCommit(`untracked files on ${on}`, 'stash', [], untracked).id);
+        }
+        const entryMessage = message ? `On ${repo.head || '(no branch)'}: ${message}` : `WIP on ${on}`;
+        const stashCommit = repo.writeCommit(entryMessage, 'stash', parents, tracked);
+        repo.stash.unshift({ id: stashCommit.id, message: entryMessage });
+
+        // Reset to HEAD (--keep-index leaves the staged changes in place)
+        const index = { ...repo.index };
+        if (options.includeUntracked) untrackedPaths.forEach(path => { delete repo.workdir[path]; });
+        repo.checkoutTree(options.keepIndex ? index : head.tree);
+        if (options.keepIndex) repo.index = index;
+        this.logCommand(commandText, `Saved working directory and index state ${entryMessage}`);
+    }
+
+    // Look up stash@{n} (or a bare n); logs the error itself when there is none.
+    // Only a missing ref reports an empty stack; a named entry that isn't there is a bad reference
+    stashEntry(commandText, ref) {
+        if (!ref && !this.repo.stash.length) {
+            this.logCommand(commandText, 'No stash entries found.', true);
+            return null;
+        }
+        const match = /^(?:stash@\{(\d+)\}|(\d+))$/.exec(ref || 'stash@{0}');
+        const n = match ? parseInt(match[1] || match[2], 10) : -1;
+        if (!this.repo.stash[n]) {
+            const name = match && match[2] ? `refs/stash@{${n}}` : ref;
+            this.logCommand(commandText, `error: ${name} is not a valid reference`, true);
+            return null;
+        }
+        return { n: n, name: `stash@{${n}}`, ...this.repo.stash[n] };
+    }
+
+    doStashList() {
+        this.logCommand(
+            'git stash list',
+            this.repo.stash.map((entry, n) => `stash@{${n}}: ${entry.message}`).join('\n') || 'No stash entries'
+        );
+    }
+
+    doStashShow(ref, options = {}) {
+        const commandText = `git stash show${options.patch ? ' -p' : ''}${ref ? ` ${ref}` : ''}`;
+        const entry = this.stashEntry(commandText, ref);
+        if (!entry) return;
+
+        const stashCommit = this.repo.findCommit(entry.id);
+        const base = this.repo.findCommit(stashCommit.parents[0]).tree;
+        const changes = treeChanges(base, stashCommit.tree);
+        this.logCommand(
+            commandText,
+            options.patch
+                ? changes.map(c => unifiedDiff(c.path, base[c.path], stashCommit.tree[c.path])).join('\n')
+                : diffStat(base, stashCommit.tree)
+        );
+    }
+
+    // git stash apply/pop: three-way merge of the stash onto HEAD, into the working tree
+    doStashApply(ref, options = {}) {
+        const verb = options.pop ? 'pop' : 'apply';
+        const commandText = `git stash ${verb}${options.index ? ' --index' : ''}${ref ? ` ${ref}` : ''}`;
+        const entry = this.stashEntry(commandText, ref);
+        if (!entry) return;
+
+        const repo = this.repo;
+        const stashCommit = repo.findCommit(entry.id);
+        const base = repo.findCommit(stashCommit.parents[0]).tree;
+        const indexTree = repo.findCommit(stashCommit.parents[1]).tree;
+        const untracked = stashCommit.parents[2] ? repo.findCommit(stashCommit.parents[2]).tree : {};
+        const head = repo.getCurrentCommit();
+        const changed = treeChanges(base, stashCommit.tree);
+
+        const dirty = repo.dirtyPaths(false).filter(path => changed.some(c => c.path === path));
+        if (dirty.length) {
+            this.logCommand(
+                commandText,
+                `error: Your local changes to the following files would be overwritten by merge:\n` +
+                    `${dirty.map(p => `\t${p}`).join('\n')}\nPlease commit your changes or stash them before you merge.\nAborting`,
+                true
+            );
+            return;
+        }
+        const existing = Object.keys(untracked).filter(path => path in repo.workdir);
+        if (existing.length) {
+            this.logCommand(
+                commandText,
+                `${existing.map(p => `${p} already exists, no checkout`).join('\n')}\nerror: could not restore untracked files from stash`,
+                true
+            );
+            return;
+        }
+
+        const result = repo.mergeTrees(base, head.tree, stashCommit.tree, 'Updated upstream', 'Stashed changes');
+        changed.forEach(({ path, kind }) => {
+            if (result.tree[path]) {
+                repo.workdir[path] = result.tree[path];
+            } else {
+                delete repo.workdir[path];
+            }
+            // Files the stash added go back into the index, as git does
+            if (kind === 'new file' && !result.conflicts.includes(path)) repo.index[path] = result.tree[path];
+        });
+        Object.keys(untracked).forEach(path => { repo.workdir[path] = untracked[path]; });
+
+        if (result.conflicts.length) {
+            repo.mergeState = {
+                kind: 'stash',
+                parents: [head.id],
+                message: entry.message,
+                tree: { ...result.tree },
+                conflicts: [...result.conflicts],
+                resolved: [],
+                sides: this.conflictSides(result.conflicts, head.tree, stashCommit.tree)
+            };
+            this.logCommand(
+                commandText,
+                `${this.conflictReport(result.conflicts)}\n` +
+                    `${options.pop ? 'The stash entry is kept in case you need it again.' : 'Resolve the conflicts, then git add the files.'}`,
+                true
+            );
+            return;
+        }
+
+        // --index also brings back what was staged, wherever HEAD hasn't moved on from the stash's base
+        if (options.index) {
+            treeChanges(base, indexTree).forEach(({ path }) => {
+                if (!sameLines(head.tree[path], base[path])) return;
+                if (indexTree[path]) {
+                    repo.index[path] = indexTree[path];
+                } else {
+                    delete repo.index[path];
+                }
+            });
+        }
+
+        const lines = [`Applied ${entry.name}: ${entry.message}`];
+        if (options.pop) {
+            repo.stash.splice(entry.n, 1);
+            lines.push(`Dropped ${entry.name} (${stashCommit.fullHash})`);
+        }
+        this.logCommand(commandText, lines.join('\n'));
+    }
+
+    doStashDrop(ref) {
+        const commandText = `git stash drop${ref ? ` ${ref}` : ''}`;
+        const entry = this.stashEntry(commandText, ref);
+        if (!entry) return;
+
+        this.repo.stash.splice(entry.n, 1);
+        this.logCommand(commandText, `Dropped ${entry.name} (${this.repo.findCommit(entry.id).fullHash})`);
+    }
+
+    // git stash branch: a new branch at the commit the stash was made on, with the stash popped onto it
+    doStashBranch(name, ref) {
+        const commandText = `git stash branch ${name}${ref ? ` ${ref}` : ''}`;
+        const entry = this.stashEntry(commandText, ref);
+        if (!entry) return;
+
+        const baseId = this.repo.findCommit(entry.id).parents[0];
+        if (this.refuseOverwrite(commandText, baseId)) return;
+        if (!this.createBranch(commandText, name, this.repo.findCommit(baseId).hash)) return;
+        this.repo.carryOver(baseId);
+        this.repo.attachHead(name);
+        this.logCommand(commandText, `Switched to a new branch '${name}'`);
+        this.doStashApply(entry.name, { index: true, pop: true });
+    }
+
+    // ---- Bisect ----
+
+    doBisectStart(revisions = []) {
+        const commandText = ['git bisect start', ...revisions].join(' ');
+        const ids = revisions.map(rev => this.repo.resolveRevision(rev));
+        const unknown = revisions.find((rev, n) => !ids[n]);
+        if (unknown !== undefined) {
+            this.logCommand(commandText, `fatal: '${unknown}' does not appear to be a valid revision`, true);
+            return;
+        }
+
+        // Starting over keeps the original HEAD that git bisect reset returns to
+        const previous = this.repo.bisect;
+        this.repo.bisect = {
+            start: previous ? previous.start : this.repo.head,
+            startId: previous ? previous.startId : this.repo.headId(),
+            bad: null,
+            good: [],
+            skip: [],
+            log: []
+        };
+        ids.forEach((id, n) => this.markBisect(n === 0 ? 'bad' : 'good', id));
+        this.repo.bisect.log.push(`git bisect start${revisions.map(rev => ` '${rev}'`).join('')}`);
+        const step = this.bisectStep();
+        this.logCommand(commandText, step.text, step.isError);
+    }
+
+    doBisectMark(term, revisions = []) {
+        const commandText = ['git bisect', term, ...revisions].join(' ');
+        if (!this.repo.bisect) {
+            this.logCommand(commandText, 'You need to start by "git bisect start"', true);
+            return;
+        }
+        if (term === 'bad' && revisions.length > 1) {
+            this.logCommand(commandText, `error: 'git bisect bad' can take only one argument.`, true);
+            return;
+        }
+        const targets = revisions.length ? revisions : ['HEAD'];
+        const ids = targets.map(rev => this.repo.resolveRevision(rev));
+        const unknown = targets.find((rev, n) => !ids[n]);
+        if (unknown !== undefined) {
+            this.logCommand(commandText, `fatal: Bad rev input: ${unknown}`, true);
+            return;
+        }
+
+        ids.forEach(id => {
+            this.markBisect(term, id);
+            this.repo.bisect.log.push(`git bisect ${term} ${this.repo.findCommit(id).fullHash}`);
+        });
+        const step = this.bisectStep();
+        this.logCommand(commandText, step.text, step.isError);
+    }
+
+    // Record a verdict, as git keeps them in refs/bisect and the bisect log
+    markBisect(term, id) {
+        const state = this.repo.bisect;
+        const commit = this.repo.findCommit(id);
+        if (term === 'bad') {
+            state.bad = id;
+        } else if (!state[term].includes(id)) {
+            state[term].push(id);
+        }
+        state.log.push(`# ${term}: [${commit.fullHash}] ${commit.message.split('\n')[0]}`);
+    }
+
+    // After each verdict: wait for more, check out the next midpoint, or
+    // report the first bad commit once nothing else is left to test
+    bisectStep() {
+        const state = this.repo.bisect;
+        if (!state.bad || !state.good.length) {
+            const count = state.good.length;
+            const status = !state.bad
+                ? (count ? `waiting for bad commit, ${count} good commit${count === 1 ? '' : 's'} known` : 'waiting for both good and bad commits')
+                : 'waiting for good commit(s), bad commit known';
+            return { text: `status: ${status}` };
+        }
+
+        const bad = this.repo.findCommit(state.bad);
+        if (state.good.some(id => this.repo.isAncestor(state.bad, id))) {
+            const good = state.good.map(id => this.repo.findCommit(id).fullHash).join(' ');
+            return {
+                text: `The merge base ${bad.fullHash} is bad.\nThis means the bug has been fixed between ${bad.fullHash} and [${good}].`,
+                isError: true,
+                finished: true
+            };
+        }
+
+        // A good commit on another line of history: its merge base with bad is tested first
+        const base = state.good
+            .filter(id => !this.repo.isAncestor(id, state.bad))
+            .map(id => this.repo.mergeBase(id, state.bad))
+            .find(id => id && !state.good.includes(id) && !state.skip.includes(id));
+        if (base) return this.bisectCheckout(base, 'Bisecting: a merge base must be tested');
+
+        const candidates = this.repo.bisectCandidates();
+        const next = this.repo.bisectMidpoint(candidates);
+        if (next) {
+            const left = candidates.length - next.weight - 1;
+            const steps = bisectSteps(candidates.length);
+            return this.bisectCheckout(next.commit.id,
+                `Bisecting: ${left} revision${left === 1 ? '' : 's'} left to test after this ` +
+                `(roughly ${steps} step${steps === 1 ? '' : 's'})`);
+        }
+
+        const suspects = candidates.filter(c => c.id === state.bad || state.skip.includes(c.id));
+        if (suspects.length > 1) {
+            return {
+                text: `There are only 'skip'ped commits left to test.\nThe first bad commit could be any of:\n` +
+                    `${suspects.map(c => c.fullHash).join('\n')}\nWe cannot bisect more!`,
+                finished: true
+            };
+        }
+
+        const subject = bad.message.split('\n')[0];
+        const found = `# first bad commit: [${bad.fullHash}] ${subject}`;
+        if (state.log[state.log.length - 1] !== found) state.log.push(found);
+        const parent = this.repo.findCommit(bad.parents[0]);
+        return {
+            text: `${bad.fullHash} is the first bad commit\ncommit ${bad.fullHash}\nAuthor: ${bad.author}\n` +
+                `Date:   ${new Date(bad.timestamp).toUTCString()}\n\n` +
+                `${bad.message.split('\n').map(line => `    ${line}`).join('\n')}\n\n` +
+                diffStat(parent ? parent.tree : {}, bad.tree),
+            finished: true,
+            found: true
+        };
+    }
+
+    // Detach HEAD at the commit to test next; local changes travel if they can
+    bisectCheckout(id, heading) {
+        const error = this.overwriteError(id);
+        if (error) return { text: error, isError: true, finished: true };
+
+        const commit = this.repo.findCommit(id);
+        this.repo.carryOver(id);
+        this.repo.detachHead(id);
+        return { text: `${heading}\n[${commit.fullHash}] ${commit.message.split('\n')[0]}` };
+    }
+
+    doBisectReset(target) {
+        const commandText = `git bisect reset${target ? ` ${target}` : ''}`;
+        const state = this.repo.bisect;
+        if (!state) {
+            this.logCommand(commandText, 'We are not bisecting.');
+            return;
+        }
+
+        const branch = target ? (this.repo.branches[target] ? target : null) : state.start;
+        const id = branch ? this.repo.branches[branch] : (target ? this.repo.resolveRevision(target) : state.startId);
+        if (!id) {
+            this.logCommand(commandText,
+                `error: could not check out original HEAD '${target || state.start}'. Try 'git bisect reset <commit>'.`, true);
+            return;
+        }
+        if (this.refuseOverwrite(commandText, id)) return;
+
+        const leaving = this.repo.detachedHead;
+        const wasOn = this.repo.head;
+        this.repo.carryOver(id);
+        if (branch) {
+            this.repo.attachHead(branch);
+        } else {
+            this.repo.detachHead(id);
+        }
+        this.repo.bisect = null;
+        const commit = this.repo.findCommit(id);
+        this.logCommand(commandText, branch && branch === wasOn ? `Already on '${branch}'` : this.leavingDetachedHead(leaving) +
+            (branch ? `Switched to branch '${branch}'` : `HEAD is now at ${commit.hash} ${commit.message.split('\n')[0]}`));
+    }
+
+    doBisectLog() {
+        if (!this.repo.bisect) {
+            this.logCommand('git bisect log', 'error: We are not bisecting.', true);
+            return;
+        }
+        this.logCommand('git bisect log', this.repo.bisect.log.join('\n'));
+    }
+
+    // git bisect run: run the script on the checked-out commit and mark it by
+    // exit code (0 good, 125 skip, 1-124 bad), one animated step at a time
+    doBisectRun(argv, before) {
+        const script = argv.map(word => (/\s/.test(word) ? `'${word}'` : word)).join(' ');
+        const commandText = `git bisect run ${script}`;
+        const state = this.repo.bisect;
+        if (!state) {
+            this.logCommand(commandText, 'You need to start by "git bisect start"', true);
+            return;
+        }
+        if (!state.bad || !state.good.length) {
+            this.logCommand(commandText, 'You need to give me at least one good and one bad revision.\n' +
+                '(You can use "git bisect bad" and "git bisect good" for that.)', true);
+            return;
+        }
+
+        const run = this.bisectRun = { script: script };
+        let snapshot = before;
+        const finish = () => {
+            this.bisectRun = null;
+            this.recordTimeline(commandText);
+            this.updateDisplay();
+        };
+        const tick = () => {
+            if (this.bisectRun !== run) return; // The repository was replaced meanwhile
+
+            const head = this.repo.getCurrentCommit();
+            const result = this.runBisectScript(argv);
+            const output = result.output ? `${result.output}\n` : '';
+            const term = result.code === 0 ? 'good' : (result.code === 125 ? 'skip' : (result.code < 126 ? 'bad' : null));
+            if (!term) {
+                this.logCommand(`running '${script}'`,
+                    `${output}bisect run failed: exit code ${result.code} from '${script}' is not a verdict for ${head.hash}`, true);
+                finish();
+                return;
+            }
+
+            this.recordFrames();
+            this.markBisect(term, head.id);
+            state.log.push(`git bisect ${term} ${head.fullHash}`);
+            const step = this.bisectStep();
+            this.repo.recordRefUpdates(snapshot, this.reflogMessage('bisect-run', null, {}, snapshot));
+            snapshot = this.repo.refSnapshot();
+            this.logCommand(`running '${script}'`, `${output}${step.text}${step.found ? '\nbisect found first bad commit' : ''}`,
+                step.isError);
+            this.playFrames();
+            if (step.finished) {
+                finish();
+                return;
+            }
+            this.updateDisplay();
+            this.afterAnimation(tick);
+        };
+
+        this.logCommand(commandText, `running '${script}' on each commit git bisect checks out`);
+        this.afterAnimation(tick);
+    }
+
+    // A small shell for bisect scripts, run against the working tree: the
+    // scenario's test command, grep, test -e/-f, true, false and exit <n>,
+    // with a leading ! inverting the result
+    runBisectScript(argv) {
+        const [name, ...args] = argv;
+        const files = this.repo.workdir;
+        const suite = this.repo.testSuite;
+        if (name === '!') {
+            const result = this.runBisectScript(args);
+            return { code: result.code ? 0 : 1, output: result.output };
+        }
+        if (suite && argv.join(' ') === suite.command) {
+            const broken = (files[suite.path] || []).some(line => line.includes(suite.bug));
+            return broken
+                ? { code: 1, output: `FAIL ${suite.name}\n  ${suite.failure}` }
+                : { code: 0, output: `PASS ${suite.name}` };
+        }
+
+        switch (name) {
+            case 'true':
+                return { code: 0, output: '' };
+            case 'false':
+                return { code: 1, output: '' };
+            case 'exit': {
+                const code = parseInt(args[0] || '0', 10);
+                return Number.isNaN(code) ? { code: 2, output: `sh: 1: exit: Illegal number: ${args[0]}` } : { code: code & 255, output: '' };
+            }
+            case 'test':
+                if (args.length !== 2 || !['-e', '-f'].includes(args[0])) return { code: 2, output: 'sh: 1: test: only -e and -f are supported' };
+                return { code: files[args[1]] ? 0 : 1, output: '' };
+            case 'grep': {
+                // Fixed-string search of one file
+                const [pattern, path] = args.filter(a => !['-q', '-F'].includes(a));
+                if (!files[path]) return { code: 2, output: `grep: ${path}: No such file or directory` };
+                const matches = files[path].filter(line => line.includes(pattern));
+                return { code: matches.length ? 0 : 1, output: args.includes('-q') ? '' : matches.join('\n') };
+            }
+            default:
+                return { code: 127, output: `sh: 1: ${name}: not found` };
+        }
+    }
+
+    logCommand(command, description, isError = false) {
+        // The first entry of a typed command echoes it as typed; later ones
+        // (the merge step of a pull, say) keep their own labels
+        if (this.typedLine) {
+            command = this.typedLine;
+            this.typedLine = null;
+        }
+        this.commandLog.unshift({ command, description, isError, timestamp: Date.now() });
+        if (this.commandLog.length > 20) this.commandLog.pop();
+        
+        this.renderCommandLog();
+    }
+
+    renderCommandLog() {
+        const logContainer = document.getElementById('commandLog');
+        logContainer.innerHTML = this.commandLog.map(entry => `
+            <div class="command-entry" style="${entry.isError ? 'border-left-color: #ff4a4a;' : ''}">
+                <div class="cmd">${escapeHtml(entry.command)}</div>
+                <div class="desc">${escapeHtml(entry.description)}</div>
+            </div>
+        `).join('');
+    }
+
+    // ---- Terminal ----
+
+    setupTerminal() {
+        const input = document.getElementById('terminalInput');
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                const line = input.value.trim();
+                input.value = '';
+                document.getElementById('terminalHint').textContent = '';
+                if (line) {
+                    this.history.push(line);
+                    this.historyIndex = this.history.length;
+                    this.runCommandLine(line);
+                }
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                const completion = this.completeCommandLine(input.value);
+                input.value = completion.line;
+                document.getElementById('terminalHint').textContent = completion.candidates.join('  ');
+            } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                const step = e.key === 'ArrowUp' ? -1 : 1;
+                this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + step));
+                input.value = this.history[this.historyIndex] || '';
+            }
+        });
+    }
+
+    // Parse a typed command line and dispatch it to gitCommand
+    runCommandLine(line) {
+        let argv;
+        try {
+            argv = tokenize(line);
+        } catch (err) {
+            this.logCommand(line, err.message, true);
+            return;
+        }
+
+        if (argv[0] === 'clear') {
+            this.commandLog = [];
+            this.renderCommandLog();
+            return;
+        }
+        if (argv[0] === 'help') {
+            this.logCommand(line, `Supported commands:\n${Object.keys(GIT_COMMANDS).map(c => `  git ${c}`).join('\n')}`);
+            return;
+        }
+        if (argv[0] !== 'git') {
+            this.logCommand(line, `${argv[0]}: command not found (try "help")`, true);
+            return;
+        }
+        if (argv.length === 1) {
+            this.logCommand(line, `usage: git <command> [<args>]\nType "help" for the supported commands.`, true);
+            return;
+        }
+
+        const name = argv[1];
+        const spec = GIT_COMMANDS[name];
+        if (!spec) {
+            this.logCommand(line, `git: '${name}' is not a git command. See 'git --help'.`, true);
+            return;
+        }
+
+        const parsed = parseArguments(argv.slice(2), spec);
+        if (parsed.error) {
+            this.logCommand(line, `${parsed.error}\nusage: git ${name} ${spec.usage}`, true);
+            return;
+        }
+
+        const call = spec.dispatch(parsed.options, parsed.args, this.repo);
+        if (call.error) {
+            this.logCommand(line, `${call.error}\nusage: git ${name} ${spec.usage}`, true);
+            return;
+        }
+        this.typedLine = line;
+        try {
+            this.gitCommand(call.command, call.arg, call.options);
+        } finally {
+            this.typedLine = null;
+        }
+    }
+
+    // Tab completion: subcommands, options of the current subcommand, refs and hashes
+    completeCommandLine(line) {
+        const words = line.split(/\s+/);
+        const current = words[words.length - 1];
+        let candidates;
+
+        if (words.length === 1) {
+            candidates = ['git', 'help', 'clear'];
+        } else if (words.length === 2) {
+            candidates = Object.keys(GIT_COMMANDS);
+        } else if (current.startsWith('-')) {
+            const spec = GIT_COMMANDS[words[1]];
+            candidates = spec ? [...Object.keys(spec.flags || {}), ...Object.keys(spec.values || {})] : [];
+        } else if (['add', 'restore', 'diff'].includes(words[1])) {
+            candidates = Object.keys({ ...this.repo.index, ...this.repo.workdir });
+        } else {
+            candidates = ['HEAD', ...Object.keys(this.repo.branches), ...Object.keys(this.repo.tags), ...Object.keys(this.repo.remoteRefs),
+                ...Object.keys(this.repo.remotes), ...this.repo.commits.map(c => c.hash)];
+        }
+
+        const matches = [...new Set(candidates)].filter(c => c.startsWith(current)).sort();
+        if (!matches.length) return { line, candidates: [] };
+
+        const head = words.slice(0, -1).concat('').join(' ');
+        if (matches.length === 1) return { line: `${head}${matches[0]} `, candidates: [] };
+
+        let prefix = matches[0];
+        matches.forEach(m => {
+            while (!m.startsWith(prefix)) prefix = prefix.slice(0, -1);
+        });
+        return { line: `${head}${prefix}`, candidates: matches };
+    }
+
+    updateDisplay() {
+        this.draw();
+        this.updateRemotes();
+        this.updateBranchInfo();
+        this.updateWorkingTree();
+        this.updateConflictPanel();
+        this.updateBisectPanel();
+        this.updateInspector();
+        this.updateRebaseEditor();
+        this.updateTimeline();
+        this.updateChallenge();
+    }
+
+    // Level list in the controls, and the running level's goal, target graph and hints
+    updateChallenge() {
+        const progress = loadChallengeProgress();
+        document.getElementById('challengeList').innerHTML = CHALLENGES.map((level, n) => {
+            const done = progress[level.id];
+            const active = this.challenge && this.challenge.level === level;
+            return `<button class="${active ? 'success' : ''}" onclick="startChallenge('${level.id}')">
+                ${done ? '✔' : `${n + 1}.`} ${escapeHtml(level.title)}${done ? ` (best: ${done.moves})` : ''}
+            </button>`;
+        }).join('');
+
+        const panel = document.getElementById('challengePanel');
+        const challenge = this.challenge;
+        if (!challenge) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            return;
+        }
+
+        const level = challenge.level;
+        const next = CHALLENGES[CHALLENGES.indexOf(level) + 1];
+        const hints = level.hints.slice(0, challenge.hints).map(hint => `<li>${escapeHtml(hint)}</li>`).join('');
+        panel.style.display = 'block';
+        panel.innerHTML = `
+            <h3>${challenge.solved ? '🏆' : '🎯'} ${escapeHtml(level.title)}</h3>
+            <p class="challenge-goal">${escapeHtml(level.goal)}</p>
+            <div class="challenge-stats">Moves: ${challenge.moves} · Par: ${level.par}${challenge.solved ? ' · Solved!' : ''}</div>
+            <h4>Target</h4>
+            <canvas id="challengeTarget"></canvas>
+            ${hints ? `<ol class="challenge-hints">${hints}</ol>` : ''}
+            <div class="challenge-actions">
+                <button onclick="showHint()" ${challenge.hints < level.hints.length ? '' : 'disabled'}>
+                    💡 Hint (${challenge.hints}/${level.hints.length})</button>
+                <button onclick="startChallenge('${level.id}')">↻ Restart level</button>
+                ${challenge.solved && next ? `<button class="success" onclick="startChallenge('${next.id}')">Next level →</button>` : ''}
+                <button class="danger" onclick="exitChallenge()">Exit challenge</button>
+            </div>
+        `;
+
+        const canvas = document.getElementById('challengeTarget');
+        canvas.width = canvas.offsetWidth;
+        canvas.height = canvas.offsetHeight;
+        const view = { orientation: this.view.orientation, autoFit: true, scale: 1, x: 0, y: 0 };
+        this.drawGraph(canvas, challenge.targets[0], view, false);
+    }
+
+    // Working directory, index and HEAD side by side; each file is marked with
+    // how it differs from the area to its right
+    updateWorkingTree() {
+        const panel = document.getElementById('workingTree');
+        const head = this.repo.getCurrentCommit().tree;
+        const areas = [
+            { key: 'workdir', title: 'Working Directory', tree: this.repo.workdir, compare: this.repo.index },
+            { key: 'index', title: 'Staging Area (index)', tree: this.repo.index, compare: head },
+            { key: 'head', title: `HEAD (${this.repo.getCurrentCommit().hash})`, tree: head, compare: head }
+        ];
+        const marks = { 'new file': 'A', 'modified': 'M', 'deleted': 'D' };
+
+        panel.innerHTML = areas.map(area => {
+            const changes = {};
+            treeChanges(area.compare, area.tree).forEach(c => { changes[c.path] = c.kind; });
+            const paths = [...new Set([...Object.keys(area.tree), ...Object.keys(changes)])].sort();
+
+            const files = paths.map(path => {
+                const kind = changes[path];
+                const untracked = area.key === 'workdir' && kind === 'new file';
+                const mark = kind ? (untracked ? '??' : marks[kind]) : '';
+                const id = `${area.key}:${path}`;
+                const attr = `data-path="${escapeHtml(path)}"`;
+                const lines = area.tree[path];
+
+                let actions = '';
+                if (area.key === 'workdir' && kind) {
+                    actions = `<button ${attr} onclick="gitCommand('add', [this.dataset.path])">add</button>` +
+                        (untracked ? '' : `<button ${attr} onclick="gitCommand('restore', [this.dataset.path])">restore</button>`);
+                } else if (area.key === 'index' && kind) {
+                    actions = `<button ${attr} onclick="gitCommand('restore', [this.dataset.path], { staged: true })">unstage</button>`;
+                }
+                if (area.key === 'workdir' && lines) {
+                    actions += `<button class="danger" ${attr} onclick="deleteFile(this.dataset.path)">rm</button>`;
+                }
+
+                const body = !lines
+                    ? '<div class="file-deleted">(deleted)</div>'
+                    : (area.key === 'workdir'
+                        ? `<textarea ${attr} rows="${Math.min(lines.length + 1, 12)}" onchange="editFile(this.dataset.path, this.value)">${escapeHtml(lines.join('\n'))}</textarea>`
+                        : `<pre>${escapeHtml(lines.join('\n'))}</pre>`);
+                return `<details class="tree-file ${kind ? kind.replace(' ', '-') : ''}" data-id="${escapeHtml(id)}"
+                        ${this.expandedFiles.has(id) ? 'open' : ''} ontoggle="toggleFile(this.dataset.id, this.open)">
+                    <summary><span class="file-mark">${mark}</span>${escapeHtml(path)}<span class="file-actions">${actions}</span></summary>
+                    ${body}
+                </details>`;
+            }).join('');
+
+            const footer = area.key === 'workdir'
+                ? `<div class="new-file"><input type="text" id="newFilePath" placeholder="new/file.txt">
+                       <button onclick="createFile(document.getElementById('newFilePath').value)">New file</button></div>`
+                : '';
+            return `<div class="tree-area">
+                <h4>${escapeHtml(area.title)}</h4>
+                ${files || '<div class="file-deleted">(empty)</div>'}
+                ${footer}
+            </div>`;
+        }).join('');
+    }
+
+    // Editing the working directory isn't a git command, but it is undoable
+    editFile(path, content) {
+        const text = content.replace(/\n$/, '');
+        this.repo.workdir[path] = text.length ? text.split('\n') : [];
+        this.recordTimeline(`edit ${path}`);
+        this.updateDisplay();
+    }
+
+    createFile(path) {
+        const name = (path || '').trim();
+        if (!name || this.repo.workdir[name]) {
+            this.logCommand(`touch ${name}`, name ? `${name} already exists` : 'enter a file path first', true);
+            return;
+        }
+        this.repo.workdir[name] = [];
+        this.expandedFiles.add(`workdir:${name}`);
+        this.recordTimeline(`create ${name}`);
+        this.updateDisplay();
+    }
+
+    deleteFile(path) {
+        delete this.repo.workdir[path];
+        this.recordTimeline(`delete ${path}`);
+        this.updateDisplay();
+    }
+
+    toggleFile(id, open) {
+        if (open) {
+            this.expandedFiles.add(id);
+        } else {
+            this.expandedFiles.delete(id);
+        }
+    }
+
+    updateTimeline() {
+        const slider = document.getElementById('timelineSlider');
+        slider.max = Math.max(this.timeline.length - 1, 0);
+        slider.value = this.timelineIndex;
+        const entry = this.timeline[this.timelineIndex];
+        document.getElementById('timelineLabel').textContent = entry
+            ? `${this.timelineIndex + 1} / ${this.timeline.length}: ${entry.label}`
+            : '';
     }
 
     updateBranchInfo() {
         const branchInfo = document.getElementById('branchInfo');
-        branchInfo.innerHTML = Object.keys(this.repo.branches).map(branch => {
+        const operation = this.repo.rebaseState ? 'rebase' : ((this.repo.mergeState && this.repo.mergeState.kind) ||
+            (this.repo.bisect && 'bisecting'));
+        const headName = this.repo.head || `${this.repo.getCurrentCommit().hash}...`;
+        document.getElementById('terminalPrompt').textContent =
+            `(${headName}${operation ? `|${operation.toUpperCase()}` : ''}) $`;
+        const detached = this.repo.head ? '' : `<div class="branch-badge detached"
+            title="Commits made here belong to no branch; use git switch -c <name> to keep them">
+            ⚠ HEAD detached at ${escapeHtml(this.repo.getCurrentCommit().hash)}${operation ? ` (${operation.toUpperCase()})` : ''}
+        </div>`;
+        branchInfo.innerHTML = detached + Object.keys(this.repo.branches).map(branch => {
             const isCurrent = branch === this.repo.head;
             return `<div class="branch-badge ${isCurrent ? 'current' : ''}">
-                ${isCurrent ? '* ' : ''}${branch}
+                ${isCurrent ? '* ' : ''}${escapeHtml(branch)}${isCurrent && operation ? ` (${operation.toUpperCase()})` : ''}
+            </div>`;
+        }).join('');
+    }
+
+    updateConflictPanel() {
+        const panel = document.getElementById('conflictPanel');
+        const rebase = this.repo.rebaseState;
+        const state = this.repo.mergeState || (rebase && { kind: 'rebase', conflicts: [], resolved: [] });
+        if (!state) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            return;
+        }
+
+        panel.style.display = 'block';
+        const files = state.conflicts.map(path => {
+            const lines = state.tree[path] || [];
+            return `<div class="conflict-file">
+                <div class="conflict-path">✖ ${escapeHtml(path)}</div>
+                <textarea data-path="${escapeHtml(path)}" rows="${Math.min(lines.length + 1, 14)}">${escapeHtml(lines.join('\n'))}</textarea>
+                <div class="conflict-actions">
+                    <button data-path="${escapeHtml(path)}" onclick="resolveConflict(this.dataset.path, 'ours')">Use ours</button>
+                    <button data-path="${escapeHtml(path)}" onclick="resolveConflict(this.dataset.path, 'theirs')">Use theirs</button>
+                    <button class="success" data-path="${escapeHtml(path)}" onclick="markResolved(this.dataset.path)">git add (mark resolved)</button>
+                </div>
+            </div>`;
+        }).join('');
+        const resolved = state.resolved.map(path =>
+            `<div class="conflict-path resolved">✔ ${escapeHtml(path)}</div>`
+        ).join('');
+
+        const actions = rebase
+            ? `<button class="success" onclick="gitCommand('rebase-continue')">git rebase --continue</button>
+               <button onclick="gitCommand('rebase-skip')">git rebase --skip</button>
+               <button class="danger" onclick="gitCommand('rebase-abort')">git rebase --abort</button>`
+            : state.kind === 'stash'
+            ? `<button class="danger" onclick="gitCommand('reset', 'hard', { target: 'HEAD' })">git reset --hard</button>`
+            : `<button class="success" onclick="gitCommand('commit')">git commit</button>
+               <button class="danger" onclick="gitCommand('merge-abort')">git ${state.kind === 'squash' ? 'merge' : state.kind} --abort</button>`;
+        const progress = rebase
+            ? ` (${rebase.replayed.length} replayed, ${rebase.todo.length} to go)`
+            : '';
+
+        panel.innerHTML = `
+            <h3>${state.kind === 'stash' ? 'stash apply conflicted' : `${state.kind} in progress`} — ${state.conflicts.length} unresolved${progress}</h3>
+            <p class="conflict-hint">${state.conflicts.length
+                ? 'Edit each file to remove the conflict markers, then mark it resolved.'
+                : (state.kind === 'squash'
+                    ? 'Squashed changes are staged. Run git commit to record them as one commit.'
+                    : `All conflicts resolved. Run git ${rebase ? 'rebase --continue' : 'commit'} to conclude.`)}</p>
+            ${files}${resolved}
+            <div class="conflict-actions">${actions}</div>
+        `;
+    }
+
+    // Verdicts so far, how much of the range is left and the scenario test's result on HEAD
+    updateBisectPanel() {
+        const panel = document.getElementById('bisectPanel');
+        const state = this.repo.bisect;
+        if (!state) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            return;
+        }
+
+        const candidates = this.repo.bisectCandidates();
+        const ready = state.bad && state.good.length;
+        const next = ready ? this.repo.bisectMidpoint(candidates) : null;
+        const bad = this.repo.findCommit(state.bad);
+        let status;
+        if (!ready) {
+            status = 'Mark one bad commit and at least one good commit to narrow the range.';
+        } else if (next) {
+            const steps = bisectSteps(candidates.length);
+            status = `${candidates.length} commits still suspected (shaded), roughly ${steps} step${steps === 1 ? '' : 's'} left. ` +
+                'Test the checked-out commit and mark it good or bad.';
+        } else if (candidates.length === 1) {
+            status = `${escapeHtml(bad.hash)} "${escapeHtml(bad.message.split('\n')[0])}" is the first bad commit.`;
+        } else {
+            status = 'Only skipped commits are left; the first bad commit is one of the shaded ones.';
+        }
+
+        const suite = this.repo.testSuite;
+        const test = suite ? this.runBisectScript(tokenize(suite.command)) : null;
+        const result = test ? `<pre class="bisect-test ${test.code ? 'failed' : 'passed'}">$ ${escapeHtml(suite.command)}
+${escapeHtml(test.output)}</pre>` : '';
+        const run = suite
+            ? `<button onclick="gitCommand('bisect-run', ${escapeHtml(JSON.stringify(tokenize(suite.command)))})">git bisect run ${escapeHtml(suite.command)}</button>`
+            : '';
+
+        panel.style.display = 'block';
+        panel.innerHTML = `
+            <h3>Bisecting${bad ? ` — bad ${escapeHtml(bad.hash)}` : ''}, ${state.good.length} good, ${state.skip.length} skipped</h3>
+            <p class="conflict-hint">${status}</p>
+            ${result}
+            <div class="conflict-actions">
+                <button class="success" onclick="gitCommand('bisect-mark', [], { term: 'good' })">git bisect good</button>
+                <button class="danger" onclick="gitCommand('bisect-mark', [], { term: 'bad' })">git bisect bad</button>
+                <button onclick="gitCommand('bisect-mark', [], { term: 'skip' })">git bisect skip</button>
+                ${run}
+                <button onclick="gitCommand('bisect-reset')">git bisect reset</button>
+            </div>
+        `;
+    }
+
+    inspect(id) {
+        this.inspected = id;
+        this.updateInspector();
+        this.draw();
+    }
+
+    closeInspector() {
+        this.inspected = null;
+        this.updateInspector();
+        this.draw();
+    }
+
+    // Highlight the commits a revision range selects; an empty query clears it
+    showRange(query) {
+        const words = tokenize(query.trim());
+        const range = words.length ? this.repo.revisionRange(words) : null;
+        if (range && range.error) {
+            this.logCommand(`Range ${query.trim()}`,
+                `fatal: ambiguous argument '${range.error}': unknown revision or path not in the working tree.`, true);
+            return;
+        }
+        this.rangeQuery = range ? words.join(' ') : null;
+        this.updateInspector();
+        this.draw();
+    }
+
+    // The range query's commits, recomputed against the current graph; null without a query
+    rangeSelection() {
+        return this.rangeQuery ? this.repo.revisionRange(tokenize(this.rangeQuery)) : null;
+    }
+
+    // The inspected commit (ids, parents, children, tree, containing refs, distance
+    // from HEAD) and the commits the range query selects
+    updateInspector() {
+        const panel = document.getElementById('inspectorPanel');
+        document.getElementById('rangeInput').value = this.rangeQuery || '';
+        if (this.inspected && !this.repo.findCommit(this.inspected)) this.inspected = null; // Gone after undo or a reload
+        const commit = this.inspected && this.repo.findCommit(this.inspected);
+        if (!commit && !this.rangeQuery) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            return;
+        }
+
+        panel.style.display = 'block';
+        panel.innerHTML = (commit ? this.commitDetails(commit) : '') + (this.rangeQuery ? this.rangeDetails() : '');
+    }
+
+    commitDetails(commit) {
+        const repo = this.repo;
+        const link = (c) => `<div class="inspector-commit"><a href="#" data-commit="${escapeHtml(c.id)}" ` +
+            `onclick="inspectCommit(this.dataset.commit); return false;">${escapeHtml(c.hash)}</a> ` +
+            `${escapeHtml(c.message.split('\n')[0])}</div>`;
+        const list = (commits, empty) => commits.length ? commits.map(link).join('') : `<div class="conflict-hint">${empty}</div>`;
+        const children = repo.commits.filter(c => c.parents.includes(commit.id));
+
+        // git branch -a --contains and git tag --contains
+        const contains = (refs, prefix = '') => Object.keys(refs)
+            .filter(name => repo.isAncestor(commit.id, refs[name]))
+            .map(name => `${prefix}${name}`);
+        const branches = [
+            ...contains(repo.branches).map(name => `${name === repo.head ? '*' : ' '} ${name}`),
+            ...contains(repo.remoteRefs, 'remotes/').map(name => `  ${name}`)
+        ];
+        const tags = contains(repo.tags);
+
+        // git ls-tree -r
+        const tree = Object.keys(commit.tree).sort()
+            .map(path => `100644 blob ${hashBlob(commit.tree[path])}\t${path}`);
+
+        const refs = this.decorations(commit.id);
+        const hash = escapeHtml(commit.hash);
+        return `
+            <h3>commit ${escapeHtml(commit.fullHash)}${refs.length ? ` (${escapeHtml(refs.join(', '))})` : ''}</h3>
+            <div class="inspector-meta">Author: ${escapeHtml(commit.author)}<br>Date:   ${new Date(commit.timestamp).toUTCString()}</div>
+            <pre class="inspector-message">${escapeHtml(commit.message)}</pre>
+            <p class="inspector-distance">${escapeHtml(this.headDistance(commit))}</p>
+            <div class="inspector-grid">
+                <div><h4>Parents</h4>${list(commit.parents.map(id => repo.findCommit(id)), 'none (root commit)')}</div>
+                <div><h4>Children</h4>${list(children, 'none yet')}</div>
+                <div><h4>Branches containing it</h4><pre>${escapeHtml(branches.join('\n')) || 'none'}</pre></div>
+                <div><h4>Tags containing it</h4><pre>${escapeHtml(tags.join('\n')) || 'none'}</pre></div>
+            </div>
+            <h4>Tree ${hashTree(commit.tree)}</h4>
+            <pre class="inspector-tree">${escapeHtml(tree.join('\n')) || '(empty)'}</pre>
+            <div class="conflict-actions">
+                <button data-rev="${hash}" onclick="gitCommand('checkout', this.dataset.rev)">git checkout ${hash}</button>
+                <button data-rev="${hash}" onclick="showRange('HEAD..' + this.dataset.rev)">HEAD..${hash}</button>
+                <button data-rev="${hash}" onclick="showRange(this.dataset.rev + '..HEAD')">${hash}..HEAD</button>
+                <button data-rev="${hash}" onclick="showRange('HEAD...' + this.dataset.rev)">HEAD...${hash}</button>
+                <button onclick="closeInspector()">Close</button>
+            </div>
+        `;
+    }
+
+    // Where a commit sits relative to HEAD, counted the way git rev-list --count does
+    headDistance(commit) {
+        const head = this.repo.headId();
+        if (commit.id === head) return 'This is HEAD.';
+
+        const ahead = this.repo.commitsBetween(head, commit.id).length;
+        const behind = this.repo.commitsBetween(commit.id, head).length;
+        const plural = (n) => `${n} commit${n === 1 ? '' : 's'}`;
+        if (!ahead) {
+            let steps = 0;
+            let id = head;
+            while (id && id !== commit.id) {
+                id = this.repo.findCommit(id).parents[0];
+                steps++;
+            }
+            const name = id ? `HEAD~${steps}` : 'an ancestor of HEAD through a merge';
+            return `${plural(behind)} behind HEAD (${commit.hash}..HEAD): ${name}.`;
+        }
+        if (!behind) return `${plural(ahead)} ahead of HEAD (HEAD..${commit.hash}): HEAD can fast-forward to it.`;
+
+        const base = this.repo.mergeBase(head, commit.id);
+        if (!base) return `${plural(ahead)} ahead and ${plural(behind)} behind HEAD, with no history in common.`;
+        return `${plural(ahead)} ahead (HEAD..${commit.hash}) and ${plural(behind)} behind (${commit.hash}..HEAD); ` +
+            `it diverged from HEAD at merge base ${this.repo.findCommit(base).hash}.`;
+    }
+
+    // The range query spelled out, then its commits newest first; A...B marks
+    // each side like git log --left-right
+    rangeDetails() {
+        const range = this.rangeSelection();
+        const query = escapeHtml(this.rangeQuery);
+        if (range.error) {
+            return `<h3>Range ${query}</h3>
+                <p class="conflict-hint">'${escapeHtml(range.error)}' no longer names a commit.</p>
+                <div class="conflict-actions"><button onclick="showRange('')">Clear range</button></div>`;
+        }
+
+        const explain = tokenize(this.rangeQuery).map(word => {
+            const match = /^(.*?)(\.\.\.?)(.*)$/.exec(word);
+            if (!match) {
+                return word.startsWith('^')
+                    ? `excluding everything reachable from ${escapeHtml(word.slice(1))}`
+                    : `everything reachable from ${escapeHtml(word)}`;
+            }
+            const revs = [match[1] || 'HEAD', match[3] || 'HEAD'];
+            const [a, b] = revs.map(escapeHtml);
+            if (match[2] === '..') return `commits reachable from ${b} but not from ${a}`;
+            const base = this.repo.mergeBase(...revs.map(rev => this.repo.resolveRevision(rev)));
+            return `commits reachable from ${a} or ${b} but not both, everything since ` +
+                `${base ? `their merge base ${this.repo.findCommit(base).hash}` : 'their roots'} (&lt; ${a} side, &gt; ${b} side)`;
+        });
+
+        const commits = this.repo.commits.filter(c => range.ids.has(c.id)).reverse();
+        const shown = commits.slice(0, 50).map(c => {
+            const side = range.left ? `${range.left.has(c.id) ? '&lt;' : '&gt;'} ` : '';
+            return `<div class="inspector-commit">${side}<a href="#" data-commit="${escapeHtml(c.id)}" ` +
+                `onclick="inspectCommit(this.dataset.commit); return false;">${escapeHtml(c.hash)}</a> ` +
+                `${escapeHtml(c.message.split('\n')[0])}</div>`;
+        }).join('');
+        const more = commits.length > 50 ? `<div class="conflict-hint">… and ${commits.length - 50} more</div>` : '';
+        return `
+            <h3>Range ${query}: ${commits.length} commit${commits.length === 1 ? '' : 's'}</h3>
+            <p class="conflict-hint">${explain.join('; ')}.</p>
+            ${shown || '<div class="conflict-hint">No commits: the range is empty.</div>'}${more}
+            <div class="conflict-actions"><button onclick="showRange('')">Clear range</button></div>
+        `;
+    }
+
+    updateRebaseEditor() {
+        const editor = document.getElementById('rebaseEditor');
+        const plan = this.rebaseTodo;
+        if (!plan) {
+            editor.style.display = 'none';
+            editor.innerHTML = '';
+            return;
+        }
+
+        const actions = ['pick', 'reword', 'squash', 'fixup', 'drop'];
+        const rows = plan.entries.map((entry, index) => {
+            const commit = this.repo.findCommit(entry.id);
+            const options = actions.map(action =>
+                `<option value="${action}" ${action === entry.action ? 'selected' : ''}>${action}</option>`
+            ).join('');
+            const message = entry.action === 'reword'
+                ? `<input type="text" value="${escapeHtml(entry.message)}" onchange="editTodo(${index}, 'message', this.value)">`
+                : `<span class="todo-message">${escapeHtml(commit.message)}</span>`;
+            return `<div class="todo-row ${entry.action === 'drop' ? 'dropped' : ''}">
+                <select onchange="editTodo(${index}, 'action', this.value)">${options}</select>
+                <span class="todo-hash">${commit.hash}</span>
+                ${message}
+                <button onclick="moveTodo(${index}, -1)" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button onclick="moveTodo(${index}, 1)" ${index === plan.entries.length - 1 ? 'disabled' : ''}>▼</button>
             </div>`;
         }).join('');
+
+        editor.style.display = 'block';
+        editor.innerHTML = `
+            <h3>Rebase ${escapeHtml(plan.branch || 'HEAD')} onto ${escapeHtml(plan.onto)} (${plan.entries.length} commands)</h3>
+            <p class="conflict-hint">Commands run top to bottom. Reorder rows, or change pick to reword, squash, fixup or drop.</p>
+            ${rows}
+            <div class="conflict-actions">
+                <button class="success" onclick="startRebaseTodo()">Start rebase</button>
+                <button class="danger" onclick="cancelRebaseTodo()">Cancel</button>
+            </div>
+        `;
     }
 
     draw() {
-        const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        this.drawGraph(this.canvas, this.repo, this.view, true);
+    }
+
+    // Draw a repository's graph; only the local one gets HEAD, remote-tracking
+    // refs, animations and a layout kept for click hit-testing
+    drawGraph(canvas, repo, view, local) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
         
         // Clear canvas
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.clearRect(0, 0, width, height);
         
-        if (!this.repo.commits.length) return;
+        if (!repo.commits.length) return;
         
-        // Layout commits
-        const layout = this.calculateLayout();
+        // Layout commits (tweened while animating), then draw in graph space under the pan/zoom transform
+        const scene = local ? this.animationScene() : null;
+        const layout = scene ? scene.layout : this.calculateLayout(repo);
+        if (local) this.layout = layout;
+        if (view.autoFit) this.fitTransform(layout, canvas, view);
+        ctx.setTransform(view.scale, 0, 0, view.scale, view.x, view.y);
+
+        const vertical = view.orientation === 'vertical';
+        const reachable = repo.reachableFromRefs();
+        const danglingColor = '#555555';
+        const tips = this.refTips(repo, local);
+        const bisect = local && repo.bisect;
+
+        const traceEdge = (pos, parentPos) => {
+            const curve = this.edgeCurve(pos, parentPos, vertical);
+            ctx.moveTo(pos.x, pos.y);
+            if (curve) {
+                ctx.bezierCurveTo(...curve, parentPos.x, parentPos.y);
+            } else {
+                ctx.lineTo(parentPos.x, parentPos.y);
+            }
+        };
+
+        // Shade a set of commits as one band (a single stroke, so overlaps don't darken)
+        const shade = (ids, color) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 34;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            repo.commits.filter(commit => ids.has(commit.id) && layout[commit.id]).forEach(commit => {
+                const pos = layout[commit.id];
+                ctx.moveTo(pos.x, pos.y);
+                ctx.lineTo(pos.x + 0.01, pos.y);
+                commit.parents.filter(id => ids.has(id) && layout[id]).forEach(id => traceEdge(pos, layout[id]));
+            });
+            ctx.stroke();
+            ctx.lineCap = 'butt';
+        };
+
+        // Range query: its commits are shaded (A...B in one colour per side), the rest dimmed
+        const range = local ? this.rangeSelection() : null;
+        const selected = range && !range.error ? range.ids : null;
+        if (selected && range.left) {
+            shade(range.left, 'rgba(74, 255, 255, 0.2)');
+            shade(new Set([...selected].filter(id => !range.left.has(id))), 'rgba(255, 170, 74, 0.25)');
+        } else if (selected) {
+            shade(selected, 'rgba(74, 255, 255, 0.2)');
+        }
+        const alphaOf = (id) => (scene ? scene.alpha[id] : 1) * (selected && !selected.has(id) ? 0.3 : 1);
+
+        // Bisect: shade the commits still suspected
+        const suspects = bisect ? repo.bisectCandidates() : [];
+        const suspected = new Set(suspects.map(c => c.id));
+        if (suspects.length) shade(suspected, 'rgba(255, 216, 74, 0.18)');
         
         // Draw connections
         ctx.lineWidth = 2;
-        this.repo.commits.forEach(commit => {
+        repo.commits.forEach(commit => {
             const pos = layout[commit.id];
             if (!pos) return;
             
+            ctx.globalAlpha = alphaOf(commit.id);
             commit.parents.forEach(parentId => {
                 const parentPos = layout[parentId];
                 if (!parentPos) return;
                 
-                ctx.strokeStyle = this.getBranchColor(commit.branch);
+                ctx.strokeStyle = reachable.has(commit.id) ? this.getBranchColor(commit.branch) : danglingColor;
                 ctx.beginPath();
-                ctx.moveTo(pos.x, pos.y);
-                ctx.lineTo(parentPos.x, parentPos.y);
+                traceEdge(pos, parentPos);
                 ctx.stroke();
             });
         });
+        ctx.globalAlpha = 1;
+
+        // The midpoint being tested gets a dashed ring; once found, the first bad commit a red one
+        const testing = suspected.has(repo.headId()) && repo.headId() !== bisect.bad ? repo.headId() : null;
+        const firstBad = suspects.length === 1 ? bisect.bad : null;
         
         // Draw commits
-        this.repo.commits.forEach(commit => {
+        repo.commits.forEach(commit => {
             const pos = layout[commit.id];
             if (!pos) return;
             
-            const isHead = this.repo.getBranchTip(this.repo.head) === commit.id;
+            const isHead = local && repo.headId() === commit.id;
             const radius = isHead ? 12 : 10;
+            const showRing = isHead && !scene; // While animating the ring moves with the scene
+            ctx.globalAlpha = alphaOf(commit.id);
             
-            // Commit circle
-            ctx.fillStyle = this.getBranchColor(commit.branch);
+            // Commit circle (unreferenced commits are greyed out)
+            const isDangling = !reachable.has(commit.id);
+            ctx.fillStyle = isDangling ? danglingColor : this.getBranchColor(commit.branch);
             ctx.beginPath();
             ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
             ctx.fill();
             
             // HEAD indicator
-            if (isHead) {
+            if (showRing) {
                 ctx.strokeStyle = '#ff4aff';
                 ctx.lineWidth = 3;
                 ctx.beginPath();
                 ctx.arc(pos.x, pos.y, radius + 3, 0, Math.PI * 2);
                 ctx.stroke();
             }
+            if (local && commit.id === this.inspected) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, radius + 6, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            if (commit.id === testing || commit.id === firstBad) {
+                ctx.strokeStyle = commit.id === testing ? '#ffd84a' : '#ff4a4a';
+                ctx.lineWidth = 2;
+                ctx.setLineDash(commit.id === testing ? [4, 3] : []);
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, radius + 8, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
             
+            const subject = this.shortSubject(commit, vertical);
+            const branchTags = scene ? [] : (tips[commit.id] || []);
+            if (vertical) {
+                // One line per row to the right of the graph, like git log --graph
+                let x = pos.labelX;
+                ctx.font = '10px Courier New';
+                ctx.fillStyle = isDangling ? '#777' : '#e0e0e0';
+                ctx.fillText(commit.hash, x, pos.labelY + 4);
+                x += ctx.measureText(`${commit.hash} `).width;
+                branchTags.forEach(branch => {
+                    ctx.fillStyle = this.getBranchColor(branch);
+                    ctx.font = 'bold 10px Courier New';
+                    ctx.fillText(`[${branch}]`, x, pos.labelY + 4);
+                    x += ctx.measureText(`[${branch}] `).width;
+                });
+                ctx.fillStyle = isDangling ? '#666' : '#aaa';
+                ctx.font = '10px Courier New';
+                ctx.fillText(subject, x, pos.labelY + 4);
+                return;
+            }
+
+            // Branch tags stacked above the node, hash and message below it
+            ctx.textAlign = 'center';
+            branchTags.forEach((branch, index) => {
+                ctx.fillStyle = this.getBranchColor(branch);
+                ctx.font = 'bold 11px Courier New';
+                ctx.fillText(branch, pos.x, pos.y - 20 - index * 13);
+            });
+
             // Commit hash
-            ctx.fillStyle = '#e0e0e0';
+            ctx.fillStyle = isDangling ? '#777' : '#e0e0e0';
             ctx.font = '10px Courier New';
-            ctx.fillText(commit.hash, pos.x + 15, pos.y - 5);
+            ctx.fillText(commit.hash, pos.labelX, pos.labelY + 24);
             
             // Commit message
-            ctx.fillStyle = '#aaa';
+            ctx.fillStyle = isDangling ? '#666' : '#aaa';
             ctx.font = '9px Courier New';
-            const shortMsg = commit.message.length > 30 ? commit.message.substring(0, 27) + '...' : commit.message;
-            ctx.fillText(shortMsg, pos.x + 15, pos.y + 8);
+            ctx.fillText(subject, pos.labelX, pos.labelY + 35);
+            ctx.textAlign = 'left';
         });
         
-        // Draw branch labels
-        Object.keys(this.repo.branches).forEach((branch, index) => {
-            const commitId = this.repo.branches[branch];
+        ctx.globalAlpha = 1;
+        if (scene) this.drawScene(ctx, scene, vertical);
+        
+        // Draw branch labels (screen space, unaffected by pan/zoom)
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        Object.keys(repo.branches).forEach((branch, index) => {
+            const commitId = repo.branches[branch];
             const pos = layout[commitId];
             if (!pos) return;
             
@@ -427,30 +5278,534 @@ class GitVisualizer {
         });
     }
 
-    calculateLayout() {
+    // Labels for each commit: branches, tags and, on the local graph, remote-tracking
+    // refs, stash entries, bisect verdicts and a detached HEAD
+    refTips(repo, local) {
+        const tips = {};
+        const add = (id, name) => (tips[id] = tips[id] || []).push(name);
+        Object.keys(repo.branches).forEach(branch => add(repo.branches[branch], branch));
+        Object.keys(repo.tags).forEach(tag => add(repo.tags[tag], `tag: ${tag}`));
+        if (local) {
+            Object.keys(repo.remoteRefs).forEach(ref => add(repo.remoteRefs[ref], ref));
+            repo.stash.forEach((entry, n) => add(entry.id, `stash@{${n}}`));
+        }
+        const bisect = local && repo.bisect;
+        if (bisect) {
+            if (bisect.bad) add(bisect.bad, 'bisect/bad');
+            bisect.good.forEach(id => add(id, 'bisect/good'));
+            bisect.skip.forEach(id => add(id, 'bisect/skip'));
+        }
+        if (local && !repo.head) {
+            const id = repo.detachedHead;
+            tips[id] = ['HEAD', ...(tips[id] || [])];
+        }
+        return tips;
+    }
+
+    // ---- Animation ----
+    // Commands record frames (layout, refs, HEAD) before, during and after they
+    // run. The model is already in its final state; draw() only tweens the
+    // picture from one frame to the next.
+
+    setAnimationSpeed(speed) {
+        this.animationSpeed = speed;
+        if (!speed) this.finishAnimation();
+    }
+
+    setStepThrough(enabled) {
+        this.stepThrough = enabled;
+        if (!enabled && this.animation && this.animation.paused) this.nextStep();
+    }
+
+    captureFrame(label, focus = []) {
+        return {
+            label: label,
+            focus: focus,
+            layout: this.calculateLayout(this.repo),
+            tips: this.refTips(this.repo, true),
+            head: this.repo.headId()
+        };
+    }
+
+    // Start recording (while animations are on); a recording already under way is joined
+    recordFrames() {
+        if (!this.frames && this.animationSpeed) this.frames = [this.captureFrame(null)];
+    }
+
+    // Mark an internal phase of the running command: the merge base found, a commit replayed...
+    phase(label, focus = []) {
+        if (this.frames) this.frames.push(this.captureFrame(label, focus));
+    }
+
+    // Play what was recorded, leaving out phases that changed nothing on the graph
+    playFrames() {
+        const frames = this.frames;
+        this.frames = null;
+        if (!frames) return;
+
+        const key = (frame) => JSON.stringify([frame.layout, frame.tips, frame.head]);
+        const final = this.captureFrame(null);
+        if (key(final) !== key(frames[frames.length - 1])) {
+            final.label = this.describeChange(frames[frames.length - 1], final);
+            frames.push(final);
+        }
+        const kept = frames.filter((frame, i) => i === 0 || frame.focus.length || key(frame) !== key(frames[i - 1]));
+        if (kept.length < 2) return;
+
+        // Whatever waited on an animation this one replaces now waits on this one
+        const previous = this.animation;
+        const run = {
+            frames: kept,
+            segment: 0,
+            start: performance.now(),
+            paused: false,
+            callbacks: previous ? previous.callbacks : []
+        };
+        run.step = () => {
+            if (this.animation !== run) return;
+            if (!run.paused && performance.now() - run.start >= this.segmentDuration()) {
+                if (run.segment + 2 >= run.frames.length) {
+                    this.finishAnimation();
+                    return;
+                }
+                if (this.stepThrough) {
+                    run.paused = true;
+                } else {
+                    run.segment++;
+                    run.start = performance.now();
+                }
+                this.updateAnimationBar();
+            }
+            this.draw();
+            if (!run.paused) requestAnimationFrame(run.step);
+        };
+        this.animation = run;
+        this.updateAnimationBar();
+        requestAnimationFrame(run.step);
+    }
+
+    segmentDuration() {
+        return 600 / this.animationSpeed;
+    }
+
+    // Step-through mode: play the next phase
+    nextStep() {
+        const run = this.animation;
+        if (!run || !run.paused) return;
+        run.paused = false;
+        run.segment++;
+        run.start = performance.now();
+        this.updateAnimationBar();
+        requestAnimationFrame(run.step);
+    }
+
+    // Jump to the end and run whatever was waiting for the animation
+    finishAnimation() {
+        const run = this.animation;
+        if (!run) return;
+        this.animation = null;
+        this.updateAnimationBar();
+        this.draw();
+        run.callbacks.forEach(callback => callback());
+    }
+
+    // Drop the animation and anything waiting on it (the repository was replaced)
+    cancelAnimation() {
+        this.animation = null;
+        this.frames = null;
+        this.updateAnimationBar();
+    }
+
+    // Multi-step commands (interactive rebase, bisect run) continue once the
+    // current animation has played, or after a short pause when there is none
+    afterAnimation(callback) {
+        if (this.animation) {
+            this.animation.callbacks.push(callback);
+        } else {
+            setTimeout(callback, 700);
+        }
+    }
+
+    // Caption for the last step when no phase named it: new commits and moved refs
+    describeChange(from, to) {
+        const before = this.refsByName(from.tips);
+        const after = this.refsByName(to.tips);
+        const created = Object.keys(to.layout).filter(id => !from.layout[id]).map(id => this.repo.findCommit(id).hash);
+        const moved = Object.keys(after).filter(name => !before[name] || before[name].id !== after[name].id);
+        if (from.head !== to.head && !moved.includes('HEAD')) moved.push('HEAD');
+        const parts = [];
+        if (created.length) parts.push(`create ${created.join(', ')}`);
+        if (moved.length) parts.push(`move ${moved.join(', ')}`);
+        return parts.join(', ') || 'update the graph';
+    }
+
+    // Ref name -> the commit it labels and its place in that commit's label stack
+    refsByName(tips) {
+        const refs = {};
+        Object.keys(tips).forEach(id => tips[id].forEach((name, index) => {
+            refs[name] = { id: id, index: index };
+        }));
+        return refs;
+    }
+
+    // The picture at this point of the animation: commits tween between the two
+    // frames' layouts, new commits grow out of their parent and fade in, and refs
+    // slide, along the commits they pass over when they move forward
+    animationScene() {
+        const run = this.animation;
+        if (!run) return null;
+
+        const from = run.frames[run.segment];
+        const to = run.frames[run.segment + 1];
+        const raw = run.paused ? 1 : Math.min((performance.now() - run.start) / this.segmentDuration(), 1);
+        const t = raw < 0.5 ? 2 * raw * raw : 1 - Math.pow(2 - 2 * raw, 2) / 2;
+        const mix = (a, b) => a + (b - a) * t;
+
         const layout = {};
-        const branchLanes = {};
-        let laneCounter = 0;
-        
-        // Assign lanes to branches
-        Object.keys(this.repo.branches).forEach(branch => {
-            if (!branchLanes[branch]) {
-                branchLanes[branch] = laneCounter++;
+        const alpha = {};
+        Object.keys(to.layout).forEach(id => {
+            const target = to.layout[id];
+            const commit = this.repo.findCommit(id);
+            if (!commit) return;
+            const parent = commit.parents.find(p => from.layout[p]);
+            const origin = from.layout[id] || (parent && from.layout[parent]) || target;
+            layout[id] = {
+                lane: target.lane,
+                x: mix(origin.x, target.x),
+                y: mix(origin.y, target.y),
+                labelX: mix(origin.labelX, target.labelX),
+                labelY: mix(origin.labelY, target.labelY)
+            };
+            alpha[id] = from.layout[id] ? 1 : t;
+        });
+
+        const before = this.refsByName(from.tips);
+        const after = this.refsByName(to.tips);
+        const refs = [];
+        Object.keys(after).forEach(name => {
+            const ref = after[name];
+            if (!layout[ref.id]) return;
+            const old = before[name];
+            refs.push({ name: name, index: ref.index, alpha: old ? 1 : t, ...this.slide(old ? old.id : ref.id, ref.id, layout, t) });
+        });
+        Object.keys(before).forEach(name => {
+            const ref = before[name];
+            if (after[name] || !layout[ref.id]) return;
+            refs.push({ name: name, index: ref.index, alpha: 1 - t, ...layout[ref.id] });
+        });
+
+        return {
+            layout: layout,
+            alpha: alpha,
+            refs: refs,
+            head: layout[to.head] ? this.slide(layout[from.head] ? from.head : to.head, to.head, layout, t) : null,
+            focus: to.focus.filter(id => layout[id]).map(id => layout[id]),
+            focusAlpha: t
+        };
+    }
+
+    // A ref's position part way from one commit to another: along the chain of
+    // commits between them when it moves forward, otherwise straight across
+    slide(fromId, toId, layout, t) {
+        const end = layout[toId];
+        if (fromId === toId) return { x: end.x, y: end.y, labelX: end.labelX };
+
+        const path = this.repo.pathBetween(fromId, toId);
+        const points = (path.length >= 2 ? path : [fromId, toId]).map(id => layout[id]).filter(Boolean);
+        if (points.length < 2) return { x: end.x, y: end.y, labelX: end.labelX };
+
+        const scaled = t * (points.length - 1);
+        const index = Math.min(Math.floor(scaled), points.length - 2);
+        const local = scaled - index;
+        return {
+            x: points[index].x + (points[index + 1].x - points[index].x) * local,
+            y: points[index].y + (points[index + 1].y - points[index].y) * local,
+            labelX: end.labelX
+        };
+    }
+
+    // Phase highlights, the HEAD ring and ref labels at their animated positions
+    drawScene(ctx, scene, vertical) {
+        ctx.globalAlpha = scene.focusAlpha;
+        ctx.strokeStyle = '#4affff';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        scene.focus.forEach(pos => {
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 20, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+
+        if (scene.head) {
+            ctx.strokeStyle = '#ff4aff';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(scene.head.x, scene.head.y, 15, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.font = 'bold 11px Courier New';
+        scene.refs.forEach(ref => {
+            ctx.globalAlpha = ref.alpha;
+            ctx.fillStyle = this.getBranchColor(ref.name);
+            if (vertical) {
+                ctx.textAlign = 'left';
+                ctx.fillText(`[${ref.name}]`, ref.labelX, ref.y - 12 - ref.index * 11);
+            } else {
+                ctx.textAlign = 'center';
+                ctx.fillText(ref.name, ref.x, ref.y - 20 - ref.index * 13);
             }
         });
-        
-        // Position commits
-        this.repo.commits.forEach((commit, index) => {
-            const lane = branchLanes[commit.branch] || 0;
-            layout[commit.id] = {
-                x: 100 + index * 80,
-                y: 150 + lane * 80
-            };
+        ctx.globalAlpha = 1;
+        ctx.textAlign = 'left';
+    }
+
+    // Caption and controls under the canvas while an animation plays
+    updateAnimationBar() {
+        const bar = document.getElementById('animationBar');
+        const run = this.animation;
+        if (!run) {
+            bar.style.visibility = 'hidden';
+            return;
+        }
+
+        const label = run.frames[run.segment + 1].label || 'update the graph';
+        bar.style.visibility = 'visible';
+        bar.innerHTML = `
+            <span class="animation-step">Step ${run.segment + 1}/${run.frames.length - 1}: ${escapeHtml(label)}</span>
+            <button onclick="visualizer.nextStep()" ${run.paused ? '' : 'disabled'}>Next step ▶</button>
+            <button onclick="visualizer.finishAnimation()">Skip ⏭</button>
+        `;
+    }
+
+    // ---- Export ----
+    // Both exports read calculateLayout, so lanes and colours match the canvas
+
+    exportSvg() {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([this.graphSvg()], { type: 'image/svg+xml' }));
+        link.download = `git-graph-${this.repo.head || 'detached'}.svg`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        this.logCommand('Exported SVG', `Downloaded ${link.download} (${this.repo.commits.length} commits)`);
+    }
+
+    // Standalone SVG of the graph as draw() paints it at rest: edges, nodes,
+    // HEAD ring, ref labels, hashes, subjects and the branch legend
+    graphSvg() {
+        const repo = this.repo;
+        const vertical = this.view.orientation === 'vertical';
+        const layout = this.calculateLayout(repo);
+        const reachable = repo.reachableFromRefs();
+        const tips = this.refTips(repo, true);
+        const { minX, maxX, minY, maxY } = this.graphBounds(layout, vertical);
+        const branches = Object.keys(repo.branches).filter(branch => layout[repo.branches[branch]]);
+        const width = Math.ceil(maxX - minX + 160);
+        const height = Math.ceil(Math.max(maxY - minY + 40, 40 + branches.length * 25));
+        const colorOf = (commit) => (reachable.has(commit.id) ? this.getBranchColor(commit.branch) : '#555555');
+        const text = (x, y, content, attrs = '') => `<text x="${x}" y="${y}" ${attrs}>${content}</text>`;
+
+        const edges = [];
+        const nodes = [];
+        const labels = [];
+        repo.commits.forEach(commit => {
+            const pos = layout[commit.id];
+            commit.parents.filter(id => layout[id]).forEach(id => {
+                const parentPos = layout[id];
+                const curve = this.edgeCurve(pos, parentPos, vertical);
+                const path = curve ? `C ${curve.join(' ')} ${parentPos.x} ${parentPos.y}` : `L ${parentPos.x} ${parentPos.y}`;
+                edges.push(`<path d="M ${pos.x} ${pos.y} ${path}" stroke="${colorOf(commit)}"/>`);
+            });
+
+            const isHead = repo.headId() === commit.id;
+            const radius = isHead ? 12 : 10;
+            nodes.push(`<circle cx="${pos.x}" cy="${pos.y}" r="${radius}" fill="${colorOf(commit)}"/>`);
+            if (isHead) {
+                nodes.push(`<circle cx="${pos.x}" cy="${pos.y}" r="${radius + 3}" fill="none" stroke="#ff4aff" stroke-width="3"/>`);
+            }
+
+            const dangling = !reachable.has(commit.id);
+            const subject = escapeHtml(this.shortSubject(commit, vertical));
+            const refs = tips[commit.id] || [];
+            if (vertical) {
+                const tags = refs.map(ref => ` <tspan fill="${this.getBranchColor(ref)}" font-weight="bold">[${escapeHtml(ref)}]</tspan>`);
+                labels.push(text(pos.labelX, pos.labelY + 4,
+                    `${commit.hash}${tags.join('')} <tspan fill="${dangling ? '#666' : '#aaa'}">${subject}</tspan>`,
+                    `font-size="10" fill="${dangling ? '#777' : '#e0e0e0'}" xml:space="preserve"`));
+                return;
+            }
+            refs.forEach((ref, index) => labels.push(text(pos.x, pos.y - 20 - index * 13, escapeHtml(ref),
+                `font-size="11" font-weight="bold" text-anchor="middle" fill="${this.getBranchColor(ref)}"`)));
+            labels.push(text(pos.labelX, pos.labelY + 24, commit.hash,
+                `font-size="10" text-anchor="middle" fill="${dangling ? '#777' : '#e0e0e0'}"`));
+            labels.push(text(pos.labelX, pos.labelY + 35, subject,
+                `font-size="9" text-anchor="middle" fill="${dangling ? '#666' : '#aaa'}"`));
+        });
+
+        const legend = branches.map((branch, index) => text(20, 30 + index * 25, `● ${escapeHtml(branch)}`,
+            `font-size="12" font-weight="bold" fill="${this.getBranchColor(branch)}"`));
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+                `font-family="'Courier New', monospace">`,
+            `<rect width="100%" height="100%" fill="#1a1a2e"/>`,
+            ...legend,
+            `<g transform="translate(${140 - minX} ${20 - minY})">`,
+            `<g fill="none" stroke-width="2">${edges.join('')}</g>`,
+            ...nodes,
+            ...labels,
+            '</g>',
+            '</svg>'
+        ].join('\n');
+    }
+
+    showGraphText() {
+        this.logCommand('git log --graph --oneline --all (canvas lanes)', this.graphText().join('\n'));
+    }
+
+    // The canvas graph as git log --graph --oneline text: one row per commit,
+    // newest first, each canvas lane two characters wide. Lanes carry the
+    // parents they wait for; connector rows walk an edge one column at a time.
+    graphText() {
+        const repo = this.repo;
+        const layout = this.calculateLayout(repo);
+        const lines = [];
+        const row = (width, marks) => {
+            const chars = new Array(width * 2 + 2).fill(' ');
+            marks.forEach(([pos, ch]) => { chars[pos] = ch; });
+            return chars.join('').replace(/\s+$/, '');
+        };
+
+        // The layout reserves the mainline's lane from the top; it is only drawn
+        // once a row above has an edge into it, so main's own row starts it otherwise
+        const drawn = new Set();
+        const ordered = [...repo.commits].reverse();
+        ordered.forEach((commit, index) => {
+            const pos = layout[commit.id];
+            const pending = pos.waiting.map(id => (drawn.has(id) ? id : null));
+            const below = index + 1 < ordered.length ? layout[ordered[index + 1].id].waiting : [];
+            const width = Math.max(pending.length, pos.lane + 1, below.length);
+            const marks = pending.map((id, lane) => (id && lane !== pos.lane ? [lane * 2, '|'] : null)).filter(Boolean);
+            const refs = this.decorations(commit.id);
+            lines.push(`${row(width, [...marks, [pos.lane * 2, '*']])} ${commit.hash}` +
+                `${refs.length ? ` (${refs.join(', ')})` : ''} ${commit.message.split('\n')[0]}`);
+
+            // Edges leaving this row: the other lanes and one per parent, each to where its commit now waits
+            const edges = pending
+                .map((id, lane) => (id && lane !== pos.lane ? { at: lane, to: below.indexOf(id) } : null))
+                .filter(edge => edge && edge.to !== -1)
+                .concat(commit.parents.map(id => ({ at: pos.lane, to: below.indexOf(id) })).filter(edge => edge.to !== -1));
+            commit.parents.forEach(id => drawn.add(id));
+            while (edges.some(edge => edge.at !== edge.to)) {
+                const connector = edges.map(edge => {
+                    if (edge.to === edge.at) return [edge.at * 2, '|'];
+                    const step = edge.to < edge.at ? -1 : 1;
+                    edge.at += step;
+                    return step < 0 ? [edge.at * 2 + 1, '/'] : [edge.at * 2 - 1, '\\'];
+                });
+                lines.push(row(width, connector));
+            }
+        });
+        return lines;
+    }
+
+    // Topological lane assignment in the style of git log --graph. Commits are
+    // walked newest first; each lane waits for one commit (a parent of something
+    // already placed) and is freed for reuse once that history ends or converges.
+    calculateLayout(repo = this.repo) {
+        const layout = {};
+        const vertical = this.view.orientation === 'vertical';
+        const rowSpacing = vertical ? 44 : 110;
+        const laneSpacing = vertical ? 36 : 80;
+        const ordered = [...repo.commits].reverse();
+        const lanes = [];
+
+        // Keep the mainline on the first lane
+        const mainline = repo.branches['main'] || repo.branches['master'];
+        if (mainline) lanes.push(mainline);
+
+        const claim = (id) => {
+            const free = lanes.indexOf(null);
+            if (free === -1) {
+                lanes.push(id);
+            } else {
+                lanes[free] = id;
+            }
+        };
+
+        ordered.forEach((commit, index) => {
+            const waiting = [...lanes]; // The commit each lane is waiting for as this row is reached
+            let lane = lanes.indexOf(commit.id);
+            if (lane === -1) {
+                lane = lanes.indexOf(null) === -1 ? lanes.length : lanes.indexOf(null);
+                lanes[lane] = commit.id;
+            }
+            // Other lanes that were waiting for this commit converge here
+            lanes.forEach((waiting, i) => {
+                if (waiting === commit.id && i !== lane) lanes[i] = null;
+            });
+
+            const row = ordered.length - 1 - index;
+            layout[commit.id] = { lane: lane, row: row, waiting: waiting };
+
+            const [first, ...others] = commit.parents;
+            if (first === undefined) {
+                lanes[lane] = null;
+            } else {
+                const existing = lanes.indexOf(first);
+                if (existing === -1 || existing > lane) {
+                    if (existing !== -1) lanes[existing] = null;
+                    lanes[lane] = first;
+                } else {
+                    lanes[lane] = null;
+                }
+            }
+            others.forEach(parent => {
+                if (!lanes.includes(parent)) claim(parent);
+            });
+
+            while (lanes.length && lanes[lanes.length - 1] === null) lanes.pop();
+        });
+
+        // Rows run left to right (horizontal) or newest-on-top (vertical)
+        const lastRow = ordered.length - 1;
+        const maxLane = Math.max(...Object.values(layout).map(p => p.lane));
+        Object.values(layout).forEach(pos => {
+            if (vertical) {
+                pos.x = 40 + pos.lane * laneSpacing;
+                pos.y = 40 + (lastRow - pos.row) * rowSpacing;
+                pos.labelX = 40 + maxLane * laneSpacing + 30;
+                pos.labelY = pos.y;
+            } else {
+                pos.x = 100 + pos.row * rowSpacing;
+                pos.y = 150 + pos.lane * laneSpacing;
+                pos.labelX = pos.x;
+                pos.labelY = pos.y;
+            }
         });
         
         return layout;
     }
 
+    // Control points for an edge that changes lanes; null when it runs straight along one
+    edgeCurve(pos, parentPos, vertical) {
+        if (pos.lane === parentPos.lane) return null;
+        if (vertical) {
+            const midY = (pos.y + parentPos.y) / 2;
+            return [pos.x, midY, parentPos.x, midY];
+        }
+        const midX = (pos.x + parentPos.x) / 2;
+        return [midX, pos.y, midX, parentPos.y];
+    }
+
+    // Subject line cut to fit under a node, or beside it in the vertical layout
+    shortSubject(commit, vertical) {
+        const subject = commit.message.split('\n')[0];
+        const max = vertical ? 40 : 18;
+        return subject.length > max ? subject.substring(0, max - 3) + '...' : subject;
+    }
+
     getBranchColor(branch) {
         const colors = {
             'main': '#4aff88',
@@ -459,12 +5814,365 @@ class GitVisualizer {
             'feature-a': '#4a9eff',
             'feature-b': '#8a4aff',
             'hotfix': '#ff4a4a',
-            'develop': '#ffaa4a'
+            'develop': '#ffaa4a',
+            'HEAD': '#ff4aff',
+            'stash': '#ffd84a',
+            'tag': '#ffcc66',
+            'bisect/bad': '#ff4a4a',
+            'bisect/good': '#4aff88',
+            'bisect/skip': '#777777'
         };
-        return colors[branch] || '#aaaaaa';
+        if (branch && branch.startsWith('tag: ')) return colors.tag;
+        // Remote-tracking refs (origin/main) take their branch's colour, stash@{n} the stash's
+        return colors[branch] || (branch && colors[branch.replace(/^[^/]+\//, '').replace(/@\{\d+\}$/, '')]) || '#aaaaaa';
+    }
+}
+
+// Split a command line into words, honouring single and double quotes
+function tokenize(line) {
+    const words = [];
+    let word = null;
+    let quote = null;
+
+    for (const ch of line) {
+        if (quote) {
+            if (ch === quote) {
+                quote = null;
+            } else {
+                word += ch;
+            }
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+            word = word || '';
+        } else if (/\s/.test(ch)) {
+            if (word !== null) words.push(word);
+            word = null;
+        } else {
+            word = (word || '') + ch;
+        }
+    }
+
+    if (quote) throw new Error(`error: unterminated ${quote === '"' ? 'double' : 'single'} quote`);
+    if (word !== null) words.push(word);
+    return words;
+}
+
+// Parse getopt-style arguments against a command spec:
+// flags map option names to keys, values map options that take an argument.
+// Words after a passThrough subcommand are kept as they are (git bisect run <cmd>...).
+function parseArguments(argv, spec) {
+    const flags = spec.flags || {};
+    const values = spec.values || {};
+    const options = {};
+    const args = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const word = argv[i];
+        if (spec.passThrough && args.length === 1 && args[0] === spec.passThrough) {
+            args.push(...argv.slice(i));
+            break;
+        }
+        if (word === '--') {
+            args.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!word.startsWith('-') || word === '-') {
+            args.push(word);
+            continue;
+        }
+
+        // git log -3 is short for -n 3
+        if (/^-\d+$/.test(word) && values['-n']) {
+            options[values['-n']] = word.slice(1);
+            continue;
+        }
+
+        const eq = word.indexOf('=');
+        const name = word.startsWith('--') && eq !== -1 ? word.slice(0, eq) : word;
+        if (flags[name]) {
+            options[flags[name]] = true;
+        } else if (values[name]) {
+            if (word.startsWith('--') && eq !== -1) {
+                options[values[name]] = word.slice(eq + 1);
+            } else if (i + 1 < argv.length) {
+                options[values[name]] = argv[++i];
+            } else {
+                return { error: `error: switch \`${name.replace(/^-+/, '')}' requires a value` };
+            }
+        } else if (!word.startsWith('--') && values[word.slice(0, 2)]) {
+            // Attached short value, e.g. -m"message"
+            options[values[word.slice(0, 2)]] = word.slice(2);
+        } else {
+            return { error: `error: unknown option \`${word.replace(/^-+/, '')}'` };
+        }
     }
+
+    return { options, args };
 }
 
+function isValidBranchName(name) {
+    return !!name && !/[\s~^:?*[\\]|\.\.|@\{|^[-/.]|[/.]$|\.lock$/.test(name);
+}
+
+// Terminal commands: the options each accepts and how they map onto gitCommand
+const GIT_COMMANDS = {
+    'add': {
+        usage: '[-A | --all] [<pathspec>...]',
+        flags: { '-A': 'all', '--all': 'all' },
+        dispatch: (o, a) => ({ command: 'add', arg: a, options: { all: !!o.all } })
+    },
+    'restore': {
+        usage: '[--staged] [--worktree] <pathspec>...',
+        flags: { '-S': 'staged', '--staged': 'staged', '-W': 'worktree', '--worktree': 'worktree' },
+        dispatch: (o, a) => ({ command: 'restore', arg: a, options: { staged: !!o.staged, worktree: !!o.worktree } })
+    },
+    'diff': {
+        usage: '[--staged | --cached] [<path>...]',
+        flags: { '--staged': 'staged', '--cached': 'staged' },
+        dispatch: (o, a) => ({ command: 'diff', arg: a, options: { staged: !!o.staged } })
+    },
+    'commit': {
+        usage: '[-a] [-m <msg>] [--amend]',
+        flags: { '--amend': 'amend', '-a': 'all', '--all': 'all' },
+        values: { '-m': 'message', '--message': 'message' },
+        dispatch: (o) => ({ command: o.amend ? 'amend' : 'commit', arg: o.message, options: { all: !!o.all } })
+    },
+    'checkout': {
+        usage: '[-b <new-branch>] [--detach] <branch | commit> [<start-point>]',
+        flags: { '--detach': 'detach' },
+        values: { '-b': 'create' },
+        dispatch: (o, a) => o.create
+            ? { command: 'checkout', arg: o.create, options: { create: true, startPoint: a[0] } }
+            : (a.length === 1
+                ? { command: 'checkout', arg: a[0], options: { detach: !!o.detach } }
+                : { error: 'error: expected one branch or commit' })
+    },
+    'switch': {
+        usage: '[-c <new-branch>] [--detach] <branch>',
+        flags: { '-d': 'detach', '--detach': 'detach' },
+        values: { '-c': 'create', '--create': 'create' },
+        // Unlike checkout, switch only detaches HEAD when asked to
+        dispatch: (o, a, repo) => {
+            if (o.create) return { command: 'checkout', arg: o.create, options: { create: true, startPoint: a[0] } };
+            if (a.length !== 1) return { error: 'fatal: missing branch name' };
+            if (!o.detach && !repo.branches[a[0]] && repo.resolveRevision(a[0])) {
+                return {
+                    error: `fatal: a branch is expected, got commit '${a[0]}'\n` +
+                        `hint: If you want to detach HEAD at the commit, try again with the --detach option.`
+                };
+            }
+            return { command: 'checkout', arg: a[0], options: { detach: !!o.detach } };
+        }
+    },
+    'branch': {
+        usage: '[-v] [-d | -D] [<name> [<start-point>]]',
+        flags: { '-v': 'verbose', '-d': 'delete', '--delete': 'delete', '-D': 'forceDelete' },
+        dispatch: (o, a) => {
+            if (o.delete || o.forceDelete) {
+                return a.length === 1
+                    ? { command: 'branch-delete', arg: a[0], options: { force: !!o.forceDelete } }
+                    : { error: 'fatal: branch name required' };
+            }
+            if (!a.length) return { command: 'branch-list', options: { verbose: !!o.verbose } };
+            return { command: 'branch', arg: a[0], options: { startPoint: a[1] } };
+        }
+    },
+    'tag': {
+        usage: '[-l [<pattern>]] [-n] | [-a | -f] [-m <msg>] <tagname> [<commit>] | -d <tagname>...',
+        flags: {
+            '-a': 'annotate', '--annotate': 'annotate', '-d': 'delete', '--delete': 'delete',
+            '-f': 'force', '--force': 'force', '-l': 'list', '--list': 'list', '-n': 'lines'
+        },
+        values: { '-m': 'message', '--message': 'message' },
+        dispatch: (o, a) => {
+            if (o.delete) return a.length ? { command: 'tag-delete', arg: a } : { error: 'fatal: tag name required' };
+            if (o.list || !a.length) {
+                return o.annotate || o.message !== undefined
+                    ? { error: 'fatal: tag name required' }
+                    : { command: 'tag-list', arg: a[0], options: { lines: !!o.lines } };
+            }
+            if (a.length > 2) return { error: 'fatal: too many arguments' };
+            // -m implies -a, as in git
+            const annotate = !!o.annotate || o.message !== undefined;
+            return { command: 'tag', arg: a[0], options: { startPoint: a[1], message: o.message, annotate, force: !!o.force } };
+        }
+    },
+    'describe': {
+        usage: '[--tags] [--always] [--long] [--dirty] [<commit>]',
+        flags: { '--tags': 'tags', '--always': 'always', '--long': 'long', '--dirty': 'dirty' },
+        dispatch: (o, a) => (a.length > 1
+            ? { error: 'fatal: too many arguments' }
+            : { command: 'describe', arg: a[0], options: o })
+    },
+    'merge': {
+        usage: '[--ff | --no-ff | --ff-only] [--squash] <commit> | --abort',
+        flags: {
+            '--ff': 'ff', '--no-ff': 'noFf', '--ff-only': 'ffOnly', '--squash': 'squash',
+            '--abort': 'abort', '--continue': 'continue'
+        },
+        dispatch: (o, a) => {
+            if (o.abort) return { command: 'merge-abort' };
+            if (o.continue) return { command: 'commit' };
+            if ([o.ff, o.noFf, o.ffOnly].filter(Boolean).length > 1) {
+                return { error: 'fatal: --ff, --no-ff and --ff-only are mutually exclusive' };
+            }
+            return a.length === 1
+                ? { command: 'merge', arg: a[0], options: { noFf: !!o.noFf, ffOnly: !!o.ffOnly, squash: !!o.squash } }
+                : { error: 'fatal: specify exactly one commit to merge' };
+        }
+    },
+    'rebase': {
+        usage: '[-i] <upstream> | --continue | --skip | --abort',
+        flags: { '-i': 'interactive', '--interactive': 'interactive', '--continue': 'continue', '--skip': 'skip', '--abort': 'abort' },
+        dispatch: (o, a) => {
+            if (o.continue) return { command: 'rebase-continue' };
+            if (o.skip) return { command: 'rebase-skip' };
+            if (o.abort) return { command: 'rebase-abort' };
+            if (a.length !== 1) return { error: 'fatal: specify the upstream to rebase onto' };
+            return { command: o.interactive ? 'rebase-interactive' : 'rebase', arg: a[0] };
+        }
+    },
+    'reset': {
+        usage: '[--soft | --mixed | --hard] [<commit>]',
+        flags: { '--soft': 'soft', '--mixed': 'mixed', '--hard': 'hard' },
+        dispatch: (o, a) => {
+            const modes = ['soft', 'mixed', 'hard'].filter(m => o[m]);
+            if (modes.length > 1) return { error: 'fatal: --soft, --mixed and --hard are mutually exclusive' };
+            return { command: 'reset', arg: modes[0] || 'mixed', options: { target: a[0] || 'HEAD' } };
+        }
+    },
+    'cherry-pick': {
+        usage: '<commit>... | --abort | --continue',
+        flags: { '--abort': 'abort', '--continue': 'continue' },
+        dispatch: (o, a) => {
+            if (o.abort) return { command: 'merge-abort' };
+            if (o.continue) return { command: 'commit' };
+            return a.length ? { command: 'cherry-pick', arg: a } : { error: 'fatal: empty commit set passed' };
+        }
+    },
+    'revert': {
+        usage: '[<commit>] | --abort',
+        flags: { '--abort': 'abort' },
+        dispatch: (o, a) => (o.abort ? { command: 'merge-abort' } : { command: 'revert', arg: a[0] || 'HEAD' })
+    },
+    'stash': {
+        usage: '[push [-u] [-k] [-m <msg>] | list | show [-p] | apply [--index] | pop [--index] | drop | clear] [<stash>]\n' +
+            '       git stash branch <branch> [<stash>]',
+        flags: {
+            '-u': 'includeUntracked', '--include-untracked': 'includeUntracked',
+            '-k': 'keepIndex', '--keep-index': 'keepIndex', '--index': 'index', '-p': 'patch', '--patch': 'patch'
+        },
+        values: { '-m': 'message', '--message': 'message' },
+        dispatch: (o, a) => {
+            const [sub = 'push', ...rest] = a;
+            switch (sub) {
+                case 'push':
+                case 'save':
+                    return { command: 'stash', arg: o.message || rest.join(' ') || undefined, options: o };
+                case 'list':
+                case 'clear':
+                    return { command: `stash-${sub}` };
+                case 'show':
+                case 'apply':
+                case 'pop':
+                case 'drop':
+                    return rest.length > 1 ? { error: `error: too many arguments` } : { command: `stash-${sub}`, arg: rest[0], options: o };
+                case 'branch':
+                    return rest.length
+                        ? { command: 'stash-branch', arg: rest[0], options: { stash: rest[1] } }
+                        : { error: 'fatal: No branch name specified' };
+                default:
+                    return { error: `error: unknown subcommand: ${sub}` };
+            }
+        }
+    },
+    'bisect': {
+        usage: 'start [<bad> [<good>...]] | (good | bad | skip) [<rev>...] | reset [<commit>] | log | run <cmd>...',
+        passThrough: 'run',
+        dispatch: (o, a) => {
+            const [sub, ...rest] = a;
+            switch (sub) {
+                case 'start':
+                    return { command: 'bisect-start', arg: rest };
+                case 'good':
+                case 'bad':
+                case 'skip':
+                    return { command: 'bisect-mark', arg: rest, options: { term: sub } };
+                case 'reset':
+                    return rest.length > 1 ? { error: 'error: too many arguments' } : { command: 'bisect-reset', arg: rest[0] };
+                case 'log':
+                    return { command: 'bisect-log' };
+                case 'run':
+                    return rest.length ? { command: 'bisect-run', arg: rest } : { error: 'error: bisect run failed: no command provided.' };
+                default:
+                    return { error: sub ? `error: unknown command: '${sub}'` : 'error: need a command' };
+            }
+        }
+    },
+    'log': {
+        usage: '[--oneline] [--graph] [--all] [-n <number>] [<revision>...]',
+        flags: { '--oneline': 'oneline', '--graph': 'graph', '--all': 'all' },
+        values: { '-n': 'maxCount', '--max-count': 'maxCount' },
+        dispatch: (o, a) => {
+            if (o.maxCount !== undefined && !/^\d+$/.test(o.maxCount)) {
+                return { error: `fatal: '${o.maxCount}': not an integer` };
+            }
+            return {
+                command: 'log',
+                arg: a,
+                options: { ...o, maxCount: o.maxCount === undefined ? undefined : parseInt(o.maxCount, 10) }
+            };
+        }
+    },
+    'status': {
+        usage: '',
+        dispatch: () => ({ command: 'status' })
+    },
+    'remote': {
+        usage: '[-v] | add <name> | remove <name>',
+        flags: { '-v': 'verbose', '--verbose': 'verbose' },
+        dispatch: (o, a) => {
+            if (!a.length) return { command: 'remote', arg: [], options: { verbose: !!o.verbose } };
+            if (!['add', 'remove', 'rm'].includes(a[0])) return { error: `error: unknown subcommand: ${a[0]}` };
+            if (a.length < 2) return { error: 'error: remote name required' };
+            return { command: 'remote', arg: [a[0] === 'rm' ? 'remove' : a[0], a[1]] };
+        }
+    },
+    'clone': {
+        usage: '<remote>',
+        dispatch: (o, a) => (a.length === 1 ? { command: 'clone', arg: a[0] } : { error: 'fatal: You must specify a repository to clone.' })
+    },
+    'fetch': {
+        usage: '[--prune] [<remote>]',
+        flags: { '-p': 'prune', '--prune': 'prune' },
+        dispatch: (o, a) => ({ command: 'fetch', arg: a[0], options: { prune: !!o.prune } })
+    },
+    'pull': {
+        usage: '[--rebase | --ff-only] [<remote> [<branch>]]',
+        flags: { '-r': 'rebase', '--rebase': 'rebase', '--ff-only': 'ffOnly' },
+        dispatch: (o, a) => ({ command: 'pull', arg: a.slice(0, 2), options: { rebase: !!o.rebase, ffOnly: !!o.ffOnly } })
+    },
+    'push': {
+        usage: '[-u] [--force | --force-with-lease] [--tags] [<remote> [<branch> | <tag>]]',
+        flags: {
+            '-u': 'setUpstream', '--set-upstream': 'setUpstream',
+            '-f': 'force', '--force': 'force', '--force-with-lease': 'forceWithLease', '--tags': 'tags'
+        },
+        dispatch: (o, a) => ({ command: 'push', arg: a.slice(0, 2), options: o })
+    },
+    'reflog': {
+        usage: '[show] [<ref>]',
+        dispatch: (o, a) => {
+            const args = a[0] === 'show' ? a.slice(1) : a;
+            return args.length > 1 ? { error: 'fatal: too many arguments' } : { command: 'reflog', arg: args[0] || 'HEAD' };
+        }
+    },
+    'rev-parse': {
+        usage: '<revision>...',
+        dispatch: (o, a) => (a.length ? { command: 'rev-parse', arg: a } : { error: 'fatal: revision required' })
+    }
+};
+
 // Global instance
 let visualizer;
 
@@ -473,8 +6181,127 @@ function loadScenario() {
     visualizer.loadScenario(scenario);
 }
 
-function gitCommand(cmd, arg) {
-    visualizer.gitCommand(cmd, arg);
+function gitCommand(cmd, arg, options) {
+    visualizer.gitCommand(cmd, arg, options);
+}
+
+function quickCommit() {
+    visualizer.quickCommit();
+}
+
+function startChallenge(id) {
+    visualizer.startChallenge(id);
+}
+
+function showHint() {
+    visualizer.showHint();
+}
+
+function exitChallenge() {
+    visualizer.exitChallenge();
+}
+
+function saveSession() {
+    visualizer.saveSession();
+}
+
+function copyShareLink() {
+    visualizer.copyShareLink();
+}
+
+function importPastedHistory() {
+    const text = document.getElementById('importText').value;
+    if (text.trim()) visualizer.importHistory(text, 'pasted history');
+}
+
+function importHistoryFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+    file.text().then(text => visualizer.importHistory(text, file.name));
+    input.value = '';
+}
+
+function loadSessionFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+    file.text().then(text => visualizer.loadJSON(text, file.name));
+    input.value = '';
+}
+
+function editTodo(index, field, value) {
+    visualizer.editTodo(index, field, value);
+}
+
+function moveTodo(index, delta) {
+    visualizer.moveTodo(index, delta);
+}
+
+function startRebaseTodo() {
+    visualizer.startRebaseTodo();
+}
+
+function cancelRebaseTodo() {
+    visualizer.cancelRebaseTodo();
+}
+
+function resolveConflict(path, side) {
+    visualizer.gitCommand('resolve', { path, side });
+}
+
+function markResolved(path) {
+    const textarea = [...document.querySelectorAll('#conflictPanel textarea')]
+        .find(t => t.dataset.path === path);
+    const content = textarea ? textarea.value : '';
+    visualizer.gitCommand('mark-resolved', { path, lines: content.length ? content.split('\n') : null });
+}
+
+function simulateTeammatePush(remote) {
+    visualizer.simulateTeammatePush(remote);
+}
+
+function editFile(path, content) {
+    visualizer.editFile(path, content);
+}
+
+function createFile(path) {
+    visualizer.createFile(path);
+}
+
+function deleteFile(path) {
+    visualizer.deleteFile(path);
+}
+
+function toggleFile(id, open) {
+    visualizer.toggleFile(id, open);
+}
+
+function inspectCommit(id) {
+    visualizer.inspect(id);
+}
+
+function closeInspector() {
+    visualizer.closeInspector();
+}
+
+function showRange(query) {
+    visualizer.showRange(query);
+}
+
+function exportSvg() {
+    visualizer.exportSvg();
+}
+
+function showGraphText() {
+    visualizer.showGraphText();
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // Initialize
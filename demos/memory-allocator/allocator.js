@@ -4,33 +4,115 @@
 class MemoryAllocator {
     constructor(totalSize) {
         this.totalSize = totalSize;
-        this.blocks = [{ start: 0, size: totalSize, allocated: false, id: null }];
+        this.strategy = 'first-fit';
+        this.buddyMinSize = 16; // Smallest block the buddy system hands out (order 0)
+        this.sizeClasses = [16, 32, 48, 64, 96, 128, 192, 256]; // Segregated fits: larger requests take whole pages
+        this.slabSize = 256; // One page, carved into objects of a single size class
+        this.freeLists = {}; // Size class -> addresses of free objects, most recently freed last
+        // Fit strategies: every block carries a header and footer (its boundary tags)
+        // and payloads start on an alignment boundary
+        this.headerSize = 8;
+        this.footerSize = 8;
+        this.alignment = 16;
+        this.blocks = this.initialBlocks();
         this.allocations = [];
         this.nextId = 1;
-        this.strategy = 'first-fit';
-        this.lastSearchIndex = 0;
+        this.lastAddress = 0; // Where next fit handed out its last block
+        this.searchSteps = 0; // Blocks (or free-list entries) examined by all searches so far
+    }
+
+    // One free block spanning the pool; the buddy system starts from
+    // power-of-two roots instead, since every block must have a buddy.
+    // With boundary tags the free block sits between a prologue that aligns
+    // the first payload and an epilogue trimming the end to whole alignment units.
+    initialBlocks() {
+        if (this.strategy === 'buddy') {
+            return this.buddyRoots().map(root => ({ start: root.start, size: root.size, allocated: false, id: null }));
+        }
+        if (!this.usesBoundaryTags()) {
+            return [{ start: 0, size: this.totalSize, allocated: false, id: null }];
+        }
+
+        const prologue = (this.alignment - this.headerSize % this.alignment) % this.alignment;
+        const epilogue = (this.totalSize - prologue) % this.alignment;
+        const blocks = [{ start: prologue, size: this.totalSize - prologue - epilogue, allocated: false, id: null }];
+        if (prologue) blocks.unshift({ start: 0, size: prologue, allocated: true, id: null, reserved: 'prologue' });
+        if (epilogue) blocks.push({ start: this.totalSize - epilogue, size: epilogue, allocated: true, id: null, reserved: 'epilogue' });
+        return blocks;
+    }
+
+    // Buddy blocks and slabs keep their bookkeeping outside the blocks themselves
+    usesBoundaryTags() {
+        return this.strategy !== 'buddy' && this.strategy !== 'segregated';
+    }
+
+    // Header, footer and alignment for the fit strategies; blocks laid out
+    // under the old sizes can't be read under the new ones, so the pool resets
+    setBlockLayout({ headerSize, footerSize, alignment }) {
+        this.headerSize = headerSize;
+        this.footerSize = footerSize;
+        this.alignment = alignment;
+        this.reset();
     }
 
+    alignUp(size) {
+        return Math.ceil(size / this.alignment) * this.alignment;
+    }
+
+    // Smallest block worth splitting off: room for both tags, in whole alignment units
+    minBlockSize() {
+        return Math.max(this.alignment, this.alignUp(this.headerSize + this.footerSize));
+    }
+
+    // Returns true when the switch had to clear the pool: buddy blocks are
+    // aligned powers of two and slabs hold many objects, so neither layout
+    // carries over to another family of strategies
     setStrategy(strategy) {
+        const family = (s) => (s === 'buddy' || s === 'segregated' ? s : 'fit');
+        const relayout = family(strategy) !== family(this.strategy);
         this.strategy = strategy;
-        this.lastSearchIndex = 0;
+        this.lastAddress = 0;
+        if (relayout) this.reset();
+        return relayout;
+    }
+
+    // Bytes a request of `size` actually occupies
+    blockSizeFor(size) {
+        if (this.strategy === 'segregated') {
+            const sizeClass = this.sizeClasses.find(c => c >= size);
+            return sizeClass || Math.ceil(size / this.slabSize) * this.slabSize;
+        }
+        if (this.usesBoundaryTags()) return this.alignUp(this.headerSize + size + this.footerSize);
+        let blockSize = this.buddyMinSize;
+        while (blockSize < size) blockSize *= 2;
+        return blockSize;
     }
 
     allocate(size) {
         let blockIndex = -1;
+        const needed = this.blockSizeFor(size);
+
+        // Small requests come out of a size class's slabs rather than the block list
+        if (this.strategy === 'segregated' && this.sizeClasses.includes(needed)) {
+            return this.allocateObject(size, needed);
+        }
 
         switch (this.strategy) {
             case 'first-fit':
-                blockIndex = this.firstFit(size);
+            case 'segregated':
+                blockIndex = this.firstFit(needed);
                 break;
             case 'best-fit':
-                blockIndex = this.bestFit(size);
+                blockIndex = this.bestFit(needed);
                 break;
             case 'worst-fit':
-                blockIndex = this.worstFit(size);
+                blockIndex = this.worstFit(needed);
                 break;
             case 'next-fit':
-                blockIndex = this.nextFit(size);
+                blockIndex = this.nextFit(needed);
+                break;
+            case 'buddy':
+                blockIndex = this.buddyFit(needed);
                 break;
         }
 
@@ -38,46 +120,62 @@ class MemoryAllocator {
             return null; // Allocation failed
         }
 
-        const block = this.blocks[blockIndex];
-        const allocationId = this.nextId++;
+        // A remainder too small to hold its own tags stays in the block as padding
+        const available = this.blocks[blockIndex].size;
+        const blockSize = this.usesBoundaryTags() && available - needed < this.minBlockSize() ? available : needed;
+        const block = this.takeBlock(blockIndex, blockSize);
+        const allocationId = this.recordAllocation(size, blockSize);
+        block.allocated = true;
+        block.id = allocationId;
+        block.requested = size;
 
-        // If block is exact size, mark it allocated
-        if (block.size === size) {
-            block.allocated = true;
-            block.id = allocationId;
-        } else {
-            // Split the block
-            const newBlock = {
-                start: block.start,
-                size: size,
-                allocated: true,
-                id: allocationId
-            };
+        this.lastAddress = block.start;
+        return allocationId;
+    }
 
-            block.start += size;
-            block.size -= size;
+    // Carve `size` bytes off the front of the free block at `index`, splitting it if needed
+    takeBlock(index, size) {
+        const block = this.blocks[index];
+        if (block.size === size) return block;
 
-            this.blocks.splice(blockIndex, 0, newBlock);
-        }
+        const taken = { start: block.start, size: size, allocated: false, id: null };
+        block.start += size;
+        block.size -= size;
+        this.blocks.splice(index, 0, taken);
+        return taken;
+    }
 
+    recordAllocation(size, blockSize) {
+        const allocationId = this.nextId++;
         this.allocations.push({
             id: allocationId,
             size: size,
+            blockSize: blockSize,
             freed: false,
             timestamp: Date.now()
         });
-
-        this.lastSearchIndex = blockIndex;
         return allocationId;
     }
 
     free(allocationId) {
         const blockIndex = this.blocks.findIndex(b => b.id === allocationId);
-        if (blockIndex === -1) return false;
-
-        const block = this.blocks[blockIndex];
-        block.allocated = false;
-        block.id = null;
+        if (blockIndex === -1) {
+            if (!this.freeObject(allocationId)) return false;
+        } else {
+            const block = this.blocks[blockIndex];
+            block.allocated = false;
+            block.id = null;
+            delete block.requested;
+
+            // Merge with adjacent free blocks (only with its buddy in the buddy system)
+            if (this.strategy === 'buddy') {
+                this.coalesceBuddies(blockIndex);
+            } else if (this.usesBoundaryTags()) {
+                this.coalesce(blockIndex);
+            } else {
+                this.mergeAdjacentFreeBlocks();
+            }
+        }
 
         // Mark allocation as freed
         const allocation = this.allocations.find(a => a.id === allocationId);
@@ -85,12 +183,93 @@ class MemoryAllocator {
             allocation.freed = true;
         }
 
-        // Merge with adjacent free blocks
-        this.mergeAdjacentFreeBlocks();
+        return true;
+    }
 
+    // Segregated fits: pop the class's most recently freed object, carving a
+    // fresh slab out of a free page when the free list is empty
+    allocateObject(size, sizeClass) {
+        const freeList = this.freeLists[sizeClass] = this.freeLists[sizeClass] || [];
+        if (!freeList.length && !this.carveSlab(sizeClass)) return null;
+
+        const address = freeList.pop();
+        this.searchSteps++;
+        const slab = this.slabAt(address);
+        const allocationId = this.recordAllocation(size, sizeClass);
+        slab.slab.objects[(address - slab.start) / sizeClass] = { id: allocationId, requested: size };
+        return allocationId;
+    }
+
+    // Take a page for a new slab and put all its objects on the free list,
+    // lowest address on top; the tail that fits no whole object is slab waste
+    carveSlab(sizeClass) {
+        const index = this.firstFit(this.slabSize);
+        if (index === -1) return false;
+
+        const block = this.takeBlock(index, this.slabSize);
+        const count = Math.floor(this.slabSize / sizeClass);
+        block.allocated = true;
+        block.slab = { sizeClass: sizeClass, objects: new Array(count).fill(null) };
+        for (let i = count - 1; i >= 0; i--) {
+            this.freeLists[sizeClass].push(block.start + i * sizeClass);
+        }
         return true;
     }
 
+    slabAt(address) {
+        return this.blocks.find(b => b.slab && address >= b.start && address < b.start + b.size);
+    }
+
+    // Return an object to its class's free list; a slab left empty goes back to the page pool
+    freeObject(allocationId) {
+        const slab = this.blocks.find(b => b.slab && b.slab.objects.some(o => o && o.id === allocationId));
+        if (!slab) return false;
+
+        const { sizeClass, objects } = slab.slab;
+        const index = objects.findIndex(o => o && o.id === allocationId);
+        objects[index] = null;
+        this.freeLists[sizeClass].push(slab.start + index * sizeClass);
+
+        if (objects.every(o => !o)) {
+            this.freeLists[sizeClass] = this.freeLists[sizeClass]
+                .filter(address => address < slab.start || address >= slab.start + slab.size);
+            slab.allocated = false;
+            delete slab.slab;
+            this.mergeAdjacentFreeBlocks();
+        }
+        return true;
+    }
+
+    // Free lists rebuilt from the slabs, after compaction has moved them
+    rebuildFreeLists() {
+        this.freeLists = {};
+        for (const block of this.blocks.filter(b => b.slab)) {
+            const { sizeClass, objects } = block.slab;
+            const freeList = this.freeLists[sizeClass] = this.freeLists[sizeClass] || [];
+            for (let i = objects.length - 1; i >= 0; i--) {
+                if (!objects[i]) freeList.push(block.start + i * sizeClass);
+            }
+        }
+    }
+
+    // Boundary-tag coalescing: the freed block's header gives its size, so the
+    // next block's header sits right after it, and the previous block's footer
+    // sits right before it. Two O(1) checks instead of a scan of the list.
+    // Without footers the previous block can't be found, so merging is forward only.
+    coalesce(index) {
+        const next = this.blocks[index + 1];
+        if (next && !next.allocated) {
+            this.blocks[index].size += next.size;
+            this.blocks.splice(index + 1, 1);
+        }
+
+        const previous = this.blocks[index - 1];
+        if (this.footerSize > 0 && previous && !previous.allocated) {
+            previous.size += this.blocks[index].size;
+            this.blocks.splice(index, 1);
+        }
+    }
+
     mergeAdjacentFreeBlocks() {
         for (let i = 0; i < this.blocks.length - 1; i++) {
             const current = this.blocks[i];
@@ -105,7 +284,9 @@ class MemoryAllocator {
     }
 
     firstFit(size) {
-        return this.blocks.findIndex(b => !b.allocated && b.size >= size);
+        const index = this.blocks.findIndex(b => !b.allocated && b.size >= size);
+        this.searchSteps += index === -1 ? this.blocks.length : index + 1;
+        return index;
     }
 
     bestFit(size) {
@@ -119,6 +300,7 @@ class MemoryAllocator {
                 bestIndex = i;
             }
         }
+        this.searchSteps += this.blocks.length;
 
         return bestIndex;
     }
@@ -134,16 +316,21 @@ class MemoryAllocator {
                 worstIndex = i;
             }
         }
+        this.searchSteps += this.blocks.length;
 
         return worstIndex;
     }
 
     nextFit(size) {
-        const startIndex = this.lastSearchIndex;
+        // Frees merge blocks and compaction moves them, so a list index goes stale;
+        // resume from the block now holding the last address, or the one after it
+        const resume = this.blocks.findIndex(b => b.start + b.size > this.lastAddress);
+        const startIndex = resume === -1 ? 0 : resume;
         let currentIndex = startIndex;
 
         do {
             const block = this.blocks[currentIndex];
+            this.searchSteps++;
             if (!block.allocated && block.size >= size) {
                 return currentIndex;
             }
@@ -154,13 +341,80 @@ class MemoryAllocator {
         return -1;
     }
 
+    // The pool carved into the largest power-of-two blocks that fit (1024 -> 1024,
+    // 768 -> 512 + 256). Roots never merge: they are not each other's buddies.
+    buddyRoots() {
+        const roots = [];
+        let start = 0;
+        while (this.totalSize - start >= this.buddyMinSize) {
+            let size = this.buddyMinSize;
+            while (size * 2 <= this.totalSize - start) size *= 2;
+            roots.push({ start, size });
+            start += size;
+        }
+        return roots;
+    }
+
+    // Smallest free block that fits, halved until it is exactly `size`; each
+    // right half stays free as the buddy of the left half
+    buddyFit(size) {
+        let index = -1;
+        for (let i = 0; i < this.blocks.length; i++) {
+            const block = this.blocks[i];
+            if (!block.allocated && block.size >= size && (index === -1 || block.size < this.blocks[index].size)) {
+                index = i;
+            }
+        }
+        this.searchSteps += this.blocks.length;
+        if (index === -1) return -1;
+
+        const block = this.blocks[index];
+        while (block.size > size) {
+            block.size /= 2;
+            this.blocks.splice(index + 1, 0, { start: block.start + block.size, size: block.size, allocated: false, id: null });
+        }
+        return index;
+    }
+
+    // A block's buddy sits at its offset XOR its size within the root; while the
+    // buddy is free and whole, the pair merges back into their parent
+    coalesceBuddies(index) {
+        const block = this.blocks[index];
+        const root = this.buddyRoots().find(r => block.start >= r.start && block.start < r.start + r.size);
+
+        while (this.blocks[index].size < root.size) {
+            const current = this.blocks[index];
+            const buddyStart = root.start + ((current.start - root.start) ^ current.size);
+            const buddyIndex = buddyStart < current.start ? index - 1 : index + 1;
+            const buddy = this.blocks[buddyIndex];
+            if (!buddy || buddy.allocated || buddy.start !== buddyStart || buddy.size !== current.size) break;
+
+            index = Math.min(index, buddyIndex);
+            this.blocks[index].size *= 2;
+            this.blocks.splice(index + 1, 1);
+        }
+    }
+
+    // The binary split tree behind the buddy blocks: each node is a leaf
+    // (a block in the list) or split into two halves
+    buddyTree() {
+        const node = (start, size) => {
+            const block = this.blocks.find(b => b.start === start && b.size === size);
+            if (block) return { start, size, block };
+            return { start, size, children: [node(start, size / 2), node(start + size / 2, size / 2)] };
+        };
+        return this.buddyRoots().map(root => node(root.start, root.size));
+    }
+
     defragment() {
-        // Move all allocated blocks to the beginning
-        this.blocks.sort((a, b) => {
-            if (a.allocated && !b.allocated) return -1;
-            if (!a.allocated && b.allocated) return 1;
-            return a.start - b.start;
-        });
+        if (this.strategy === 'buddy') {
+            this.compactBuddies();
+            return;
+        }
+
+        // Move all allocated blocks to the beginning (after the prologue; the epilogue stays last)
+        const rank = (b) => (b.reserved === 'prologue' ? 0 : b.reserved === 'epilogue' ? 3 : b.allocated ? 1 : 2);
+        this.blocks.sort((a, b) => rank(a) - rank(b) || a.start - b.start);
 
         // Recalculate start positions
         let currentStart = 0;
@@ -171,11 +425,67 @@ class MemoryAllocator {
 
         // Merge all free blocks at the end
         this.mergeAdjacentFreeBlocks();
+        this.rebuildFreeLists();
+    }
+
+    // Re-place live blocks largest first into an empty pool: powers of two packed
+    // in decreasing order stay aligned and leave all free space at the end
+    compactBuddies() {
+        const live = this.blocks.filter(b => b.allocated).sort((a, b) => b.size - a.size || a.start - b.start);
+        this.blocks = this.initialBlocks();
+        for (const moved of live) {
+            const block = this.blocks[this.buddyFit(moved.size)];
+            block.allocated = true;
+            block.id = moved.id;
+            block.requested = moved.requested;
+        }
+    }
+
+    // Which bytes of a block are what, lowest address first: header, payload,
+    // padding, footer; slab objects, free slots and tail; or reserved space
+    blockLayout(block) {
+        const regions = [];
+        const add = (kind, size, extra = {}) => {
+            const start = regions.length ? regions[regions.length - 1].start + regions[regions.length - 1].size : block.start;
+            if (size > 0) regions.push({ kind, start, size, ...extra });
+        };
+
+        if (block.reserved) {
+            add('reserved', block.size);
+        } else if (block.slab) {
+            const { sizeClass, objects } = block.slab;
+            objects.forEach(object => {
+                if (!object) {
+                    add('free-object', sizeClass, { sizeClass });
+                    return;
+                }
+                add('payload', object.requested, { id: object.id, sizeClass });
+                add('padding', sizeClass - object.requested, { id: object.id, sizeClass });
+            });
+            add('slab-waste', block.size - objects.length * sizeClass, { sizeClass });
+        } else {
+            const tags = this.usesBoundaryTags();
+            const id = block.allocated ? block.id : undefined;
+            const header = tags ? this.headerSize : 0;
+            const footer = tags ? this.footerSize : 0;
+            add('header', header, { id });
+            if (block.allocated) {
+                add('payload', block.requested, { id });
+                add('padding', block.size - header - block.requested - footer, { id });
+            } else {
+                add('free', block.size - header - footer);
+            }
+            add('footer', footer, { id });
+        }
+        return regions;
     }
 
     getStats() {
         const totalAllocated = this.blocks
-            .filter(b => b.allocated)
+            .filter(b => b.allocated && !b.reserved)
+            .reduce((sum, b) => sum + b.size, 0);
+        const reserved = this.blocks
+            .filter(b => b.reserved)
             .reduce((sum, b) => sum + b.size, 0);
 
         const totalFree = this.blocks
@@ -187,16 +497,52 @@ class MemoryAllocator {
             ? Math.max(...freeBlocks.map(b => b.size))
             : 0;
 
-        // Fragmentation: (largest free - total free) / total free
+        // External fragmentation: (largest free - total free) / total free
         const fragmentation = totalFree > 0
             ? ((totalFree - largestFreeBlock) / totalFree) * 100
             : 0;
 
+        // Internal fragmentation: bytes handed out beyond what was requested
+        const live = this.allocations.filter(a => !a.freed);
+        const requested = live.reduce((sum, a) => sum + a.size, 0);
+        const tagged = this.usesBoundaryTags() ? live.length * (this.headerSize + this.footerSize) : 0;
+        const internalWaste = live.reduce((sum, a) => sum + a.blockSize, 0) - requested - tagged;
+
+        // Overhead: every byte in use that isn't payload
+        const overhead = tagged + internalWaste + reserved;
+
+        // Segregated fits: how full each class's slabs are and what their tails waste
+        const slabs = this.blocks.filter(b => b.slab);
+        const sizeClasses = this.strategy !== 'segregated' ? [] : this.sizeClasses.map(size => {
+            const own = slabs.filter(b => b.slab.sizeClass === size);
+            const objects = own.reduce((sum, b) => sum + b.slab.objects.length, 0);
+            const used = own.reduce((sum, b) => sum + b.slab.objects.filter(Boolean).length, 0);
+            return {
+                size: size,
+                slabs: own.length,
+                objects: objects,
+                used: used,
+                occupancy: objects > 0 ? (used / objects) * 100 : 0,
+                slabWaste: own.length * (this.slabSize - Math.floor(this.slabSize / size) * size)
+            };
+        });
+
         return {
             totalSize: this.totalSize,
             allocated: totalAllocated,
+            requested: requested,
             free: totalFree,
             fragmentation: fragmentation,
+            largestFreeBlock: largestFreeBlock,
+            internalWaste: internalWaste,
+            internalFragmentation: requested > 0 ? (internalWaste / (requested + internalWaste)) * 100 : 0,
+            headerBytes: tagged,
+            reserved: reserved,
+            overhead: overhead,
+            overheadPercent: live.length > 0 ? (overhead / (totalAllocated + reserved)) * 100 : 0,
+            sizeClasses: sizeClasses,
+            slabFree: sizeClasses.reduce((sum, c) => sum + (c.objects - c.used) * c.size, 0),
+            slabWaste: sizeClasses.reduce((sum, c) => sum + c.slabWaste, 0),
             allocations: this.allocations.filter(a => !a.freed).length,
             freeBlocks: freeBlocks.length
         };
@@ -204,10 +550,304 @@ class MemoryAllocator {
 
     reset(newSize) {
         this.totalSize = newSize || this.totalSize;
-        this.blocks = [{ start: 0, size: this.totalSize, allocated: false, id: null }];
+        this.blocks = this.initialBlocks();
+        this.freeLists = {};
         this.allocations = [];
         this.nextId = 1;
-        this.lastSearchIndex = 0;
+        this.lastAddress = 0;
+        this.searchSteps = 0;
+    }
+}
+
+// Small seeded PRNG (mulberry32) so generated traces are reproducible
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A workload as a list of operations, one per line in text form:
+//   a <id> <size>   allocate size bytes under a trace-local id (letters, digits, _ . -)
+//   f <id>          free that allocation
+//   d               defragment
+class AllocationTrace {
+    constructor(ops = []) {
+        this.ops = ops;
+    }
+
+    // Throws on the first malformed line; blank lines and # comments are skipped
+    static parse(text) {
+        const ops = [];
+        const live = new Set();
+        text.split('\n').forEach((raw, index) => {
+            const line = raw.replace(/#.*/, '').trim();
+            if (!line) return;
+            const [type, id, size, ...extra] = line.split(/\s+/);
+            const where = `Line ${index + 1}`;
+            if ((type === 'a' || type === 'f') && id !== undefined && !/^[\w.-]+$/.test(id)) {
+                throw new Error(`${where}: ids may only use letters, digits, '_', '.' and '-'`);
+            }
+
+            if (type === 'a') {
+                if (id === undefined || !/^\d+$/.test(size || '') || parseInt(size) === 0 || extra.length) {
+                    throw new Error(`${where}: expected "a <id> <size>"`);
+                }
+                if (live.has(id)) throw new Error(`${where}: allocation ${id} is already live`);
+                live.add(id);
+                ops.push({ type: 'a', id: id, size: parseInt(size) });
+            } else if (type === 'f') {
+                if (id === undefined || size !== undefined) throw new Error(`${where}: expected "f <id>"`);
+                if (!live.delete(id)) throw new Error(`${where}: allocation ${id} is not live`);
+                ops.push({ type: 'f', id: id });
+            } else if (type === 'd' && id === undefined) {
+                ops.push({ type: 'd' });
+            } else {
+                throw new Error(`${where}: unknown operation "${line}"`);
+            }
+        });
+        return new AllocationTrace(ops);
+    }
+
+    static formatOp(op) {
+        if (op.type === 'a') return `a ${op.id} ${op.size}`;
+        if (op.type === 'f') return `f ${op.id}`;
+        return 'd';
+    }
+
+    toString() {
+        return this.ops.map(AllocationTrace.formatOp).join('\n');
+    }
+
+    // Operation counts and the most bytes requested at once
+    summary() {
+        const sizes = new Map();
+        let liveBytes = 0;
+        let peakBytes = 0;
+        for (const op of this.ops) {
+            if (op.type === 'a') {
+                sizes.set(op.id, op.size);
+                liveBytes += op.size;
+                peakBytes = Math.max(peakBytes, liveBytes);
+            } else if (op.type === 'f') {
+                liveBytes -= sizes.get(op.id);
+            }
+        }
+        return {
+            allocations: this.ops.filter(op => op.type === 'a').length,
+            frees: this.ops.filter(op => op.type === 'f').length,
+            peakBytes: peakBytes
+        };
+    }
+
+    // Synthetic workloads of `count` operations with sizes up to about maxSize:
+    //   uniform           - sizes spread evenly, frees of random live blocks
+    //   bimodal           - mostly tiny requests with the odd large one
+    //   lifetimes         - short-lived blocks churning around long-lived ones that are never
+    //                       freed, which together take up at most an eighth of the pool
+    //   producer-consumer - bursts of messages freed oldest first, like a queue
+    static generate(kind, { count = 200, seed = 1, maxSize = 128, poolSize = maxSize * 8 } = {}) {
+        const random = seededRandom(seed);
+        const between = (lo, hi) => lo + Math.floor(random() * (hi - lo + 1));
+        const ops = [];
+        const live = [];
+        let nextId = 1;
+        let pinnedBytes = 0; // Requested by long-lived blocks so far
+        const allocate = (size) => {
+            const op = { type: 'a', id: String(nextId++), size: size };
+            ops.push(op);
+            return op;
+        };
+        const free = (index) => ops.push({ type: 'f', id: live.splice(index, 1)[0].id });
+
+        while (ops.length < count) {
+            switch (kind) {
+                case 'uniform':
+                case 'bimodal':
+                    // Allocating gets less likely as blocks pile up, so about eight stay live
+                    if (random() * 16 > live.length) {
+                        const size = kind === 'uniform' ? between(16, maxSize)
+                            : random() < 0.85 ? between(8, 32) : between(maxSize, maxSize * 2);
+                        live.push(allocate(size));
+                    } else {
+                        free(Math.floor(random() * live.length));
+                    }
+                    break;
+                case 'lifetimes': {
+                    const due = live.findIndex(entry => entry.death <= ops.length);
+                    const pinned = between(16, maxSize / 2);
+                    if (due !== -1) {
+                        free(due);
+                    } else if (random() < 0.05 && pinnedBytes + pinned <= poolSize / 8) {
+                        allocate(pinned); // Long-lived: never freed
+                        pinnedBytes += pinned;
+                    } else {
+                        live.push({ id: allocate(between(16, maxSize)).id, death: ops.length + between(2, 12) });
+                    }
+                    break;
+                }
+                case 'producer-consumer': {
+                    const produced = between(1, 4);
+                    for (let i = 0; i < produced; i++) live.push(allocate(between(16, maxSize)));
+                    const consumed = Math.min(live.length, between(1, 4));
+                    for (let i = 0; i < consumed; i++) free(0);
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown workload "${kind}"`);
+            }
+        }
+
+        // A burst can overshoot the count
+        return new AllocationTrace(ops.slice(0, count));
+    }
+}
+
+// Replays a trace against an allocator, mapping trace ids to the ids it hands out
+class TracePlayer {
+    constructor(trace, allocator) {
+        this.trace = trace;
+        this.allocator = allocator;
+        this.rewind();
+    }
+
+    rewind() {
+        this.allocator.reset();
+        this.position = 0;
+        this.ids = new Map(); // Trace id -> allocation id, or null if the allocation failed
+        this.failed = 0;
+        this.skipped = 0; // Frees of allocations that had failed
+    }
+
+    finished() {
+        return this.position >= this.trace.ops.length;
+    }
+
+    // Apply the next operation; returns it along with whether it succeeded
+    step() {
+        const op = this.trace.ops[this.position++];
+        let ok = true;
+        if (op.type === 'a') {
+            const allocationId = this.allocator.allocate(op.size);
+            this.ids.set(op.id, allocationId);
+            ok = allocationId !== null;
+            if (!ok) this.failed++;
+        } else if (op.type === 'f') {
+            const allocationId = this.ids.get(op.id);
+            this.ids.delete(op.id);
+            ok = allocationId !== null && this.allocator.free(allocationId);
+            if (!ok) this.skipped++;
+        } else {
+            this.allocator.defragment();
+        }
+        return { op, ok };
+    }
+}
+
+const STRATEGY_NAMES = {
+    'first-fit': 'First Fit',
+    'best-fit': 'Best Fit',
+    'worst-fit': 'Worst Fit',
+    'next-fit': 'Next Fit',
+    'buddy': 'Buddy',
+    'segregated': 'Size Classes'
+};
+
+// Sampled after every operation and charted over time
+const COMPARISON_METRICS = [
+    { key: 'fragmentation', label: 'External fragmentation (%)' },
+    { key: 'failed', label: 'Failed allocations' },
+    { key: 'largestFree', label: 'Largest free block (B)' },
+    { key: 'searchSteps', label: 'Search steps' }
+];
+
+// Columns of the summary table and its CSV export
+const COMPARISON_COLUMNS = [
+    { key: 'strategy', label: 'Strategy' },
+    { key: 'failed', label: 'Failed allocations', digits: 0 },
+    { key: 'skipped', label: 'Skipped frees', digits: 0 },
+    { key: 'meanFragmentation', label: 'Mean external frag. (%)', digits: 1 },
+    { key: 'peakFragmentation', label: 'Peak external frag. (%)', digits: 1 },
+    { key: 'smallestLargestFree', label: 'Smallest largest free block (B)', digits: 0 },
+    { key: 'searchSteps', label: 'Search steps', digits: 0 },
+    { key: 'stepsPerAllocation', label: 'Steps per allocation', digits: 2 },
+    { key: 'internalFragmentation', label: 'Internal frag. (%)', digits: 1 },
+    { key: 'overhead', label: 'Overhead (%)', digits: 1 }
+];
+
+// One trace played through a fresh allocator per strategy, all with the same
+// pool size and block layout, in lockstep
+class StrategyComparison {
+    constructor(trace, strategies, layout) {
+        this.trace = trace;
+        this.runs = strategies.map(strategy => {
+            const allocator = new MemoryAllocator(layout.totalSize);
+            allocator.setStrategy(strategy);
+            allocator.setBlockLayout(layout);
+            const run = { strategy, allocator, player: new TracePlayer(trace, allocator), attempts: 0, history: [] };
+            this.sample(run);
+            return run;
+        });
+    }
+
+    position() {
+        return this.runs[0].player.position;
+    }
+
+    finished() {
+        return this.runs[0].player.finished();
+    }
+
+    step() {
+        for (const run of this.runs) {
+            if (run.player.step().op.type === 'a') run.attempts++;
+            this.sample(run);
+        }
+    }
+
+    sample(run) {
+        const stats = run.allocator.getStats();
+        run.history.push({
+            fragmentation: stats.fragmentation,
+            failed: run.player.failed,
+            largestFree: stats.largestFreeBlock,
+            searchSteps: run.allocator.searchSteps
+        });
+    }
+
+    // One row per strategy, keyed by COMPARISON_COLUMNS
+    summary() {
+        return this.runs.map(run => {
+            const fragmentation = run.history.map(sample => sample.fragmentation);
+            const stats = run.allocator.getStats();
+            return {
+                strategy: STRATEGY_NAMES[run.strategy],
+                failed: run.player.failed,
+                skipped: run.player.skipped,
+                meanFragmentation: fragmentation.reduce((sum, f) => sum + f, 0) / fragmentation.length,
+                // One sample per operation is too many to spread into Math.max on long traces
+                peakFragmentation: fragmentation.reduce((max, f) => Math.max(max, f), 0),
+                smallestLargestFree: run.history.reduce((min, sample) => Math.min(min, sample.largestFree), Infinity),
+                searchSteps: run.allocator.searchSteps,
+                stepsPerAllocation: run.attempts > 0 ? run.allocator.searchSteps / run.attempts : 0,
+                internalFragmentation: stats.internalFragmentation,
+                overhead: stats.overheadPercent
+            };
+        });
+    }
+
+    toCSV() {
+        const lines = [COMPARISON_COLUMNS.map(column => column.label).join(',')];
+        for (const row of this.summary()) {
+            lines.push(COMPARISON_COLUMNS.map(column =>
+                column.digits === undefined ? row[column.key] : row[column.key].toFixed(column.digits)
+            ).join(','));
+        }
+        return lines.join('\n') + '\n';
     }
 }
 
@@ -216,7 +856,15 @@ class AllocatorUI {
     constructor() {
         this.allocator = new MemoryAllocator(1024);
         this.blockSize = 16; // Visual block size
+        this.player = null; // TracePlayer for the loaded trace
+        this.traceTimer = null;
+        this.lastTraceStep = null; // { op, ok } from the player's latest step
+        this.recorder = null; // { trace, ids: allocation id -> trace id, nextId } while recording
+        this.comparison = null; // StrategyComparison over the trace text
+        this.comparisonTimer = null;
         this.setupEventListeners();
+        this.setupTraceControls();
+        this.setupComparisonControls();
         this.render();
     }
 
@@ -226,7 +874,12 @@ class AllocatorUI {
             btn.addEventListener('click', () => {
                 document.querySelectorAll('.strategy-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
-                this.allocator.setStrategy(btn.dataset.strategy);
+                const hadAllocations = this.allocator.getStats().allocations > 0;
+                if (this.allocator.setStrategy(btn.dataset.strategy)) {
+                    this.memoryReset();
+                    if (hadAllocations) this.showNotification('Memory reset: this strategy lays out memory differently', 'success');
+                }
+                this.render();
             });
         });
 
@@ -238,9 +891,24 @@ class AllocatorUI {
         });
         poolSizeSlider.addEventListener('change', () => {
             this.allocator.reset(parseInt(poolSizeSlider.value));
+            this.memoryReset();
             this.render();
         });
 
+        // Block layout: header, footer and alignment for the fit strategies
+        ['header-size', 'footer-size', 'alignment'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.allocator.setBlockLayout({
+                    headerSize: parseInt(document.getElementById('header-size').value),
+                    footerSize: parseInt(document.getElementById('footer-size').value),
+                    alignment: parseInt(document.getElementById('alignment').value)
+                });
+                this.memoryReset();
+                this.showNotification('Memory reset with the new block layout', 'success');
+                this.render();
+            });
+        });
+
         // Allocation size slider
         const allocSizeSlider = document.getElementById('alloc-size');
         const allocSizeValue = document.getElementById('alloc-size-value');
@@ -251,7 +919,7 @@ class AllocatorUI {
         // Buttons
         document.getElementById('allocate-btn').addEventListener('click', () => {
             const size = parseInt(document.getElementById('alloc-size').value);
-            const id = this.allocator.allocate(size);
+            const id = this.allocate(size);
             if (id === null) {
                 this.showNotification('Allocation failed! Not enough free memory.', 'error');
             } else {
@@ -268,96 +936,684 @@ class AllocatorUI {
             }
 
             const randomAlloc = activeAllocs[Math.floor(Math.random() * activeAllocs.length)];
-            this.allocator.free(randomAlloc.id);
+            this.freeAllocation(randomAlloc.id);
             this.showNotification(`Freed allocation ${randomAlloc.id} (${randomAlloc.size} bytes)`, 'success');
             this.render();
         });
 
         document.getElementById('defrag-btn').addEventListener('click', () => {
-            this.allocator.defragment();
+            this.defragment();
             this.showNotification('Memory defragmented!', 'success');
             this.render();
         });
 
         document.getElementById('reset-btn').addEventListener('click', () => {
             this.allocator.reset();
+            this.memoryReset();
             this.showNotification('Memory reset!', 'success');
             this.render();
         });
     }
 
+    setupTraceControls() {
+        const speedSlider = document.getElementById('trace-speed');
+        speedSlider.addEventListener('input', () => {
+            document.getElementById('trace-speed-value').textContent = `${speedSlider.value} ops/s`;
+            if (this.traceTimer) {
+                this.pauseTrace();
+                this.runTrace();
+            }
+            if (this.comparisonTimer) {
+                this.pauseComparison();
+                this.runComparison();
+            }
+        });
+
+        document.getElementById('generate-trace-btn').addEventListener('click', () => {
+            const trace = AllocationTrace.generate(document.getElementById('trace-generator').value, {
+                count: parseInt(document.getElementById('trace-length').value) || 200,
+                seed: parseInt(document.getElementById('trace-seed').value) || 1,
+                maxSize: Math.max(32, this.allocator.totalSize / 8),
+                poolSize: this.allocator.totalSize
+            });
+            document.getElementById('trace-text').value = trace.toString();
+            this.loadTrace();
+        });
+
+        document.getElementById('load-trace-btn').addEventListener('click', () => this.loadTrace());
+
+        document.getElementById('open-trace-btn').addEventListener('click', () => {
+            document.getElementById('trace-file').click();
+        });
+
+        document.getElementById('trace-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                document.getElementById('trace-text').value = text;
+                this.loadTrace();
+            });
+            e.target.value = '';
+        });
+
+        document.getElementById('save-trace-btn').addEventListener('click', () => {
+            const text = document.getElementById('trace-text').value;
+            if (!text.trim()) {
+                this.showNotification('No trace to save', 'error');
+                return;
+            }
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([text + '\n'], { type: 'text/plain' }));
+            link.download = 'allocator-trace.txt';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+
+        document.getElementById('trace-step-btn').addEventListener('click', () => {
+            if (this.canPlay()) {
+                this.pauseTrace();
+                this.stepTrace();
+            }
+        });
+
+        document.getElementById('trace-run-btn').addEventListener('click', () => {
+            if (this.traceTimer) {
+                this.pauseTrace();
+            } else if (this.canPlay()) {
+                this.runTrace();
+            }
+        });
+
+        document.getElementById('trace-rewind-btn').addEventListener('click', () => {
+            if (!this.player) return;
+            this.pauseTrace();
+            this.player.rewind();
+            this.render();
+        });
+
+        document.getElementById('record-btn').addEventListener('click', () => {
+            if (this.recorder) {
+                this.stopRecording();
+            } else {
+                this.startRecording();
+            }
+        });
+    }
+
+    // Manual actions go through these so a recording sees them
+    allocate(size) {
+        const id = this.allocator.allocate(size);
+        if (this.recorder) {
+            const traceId = this.recorder.nextId++;
+            this.recorder.trace.ops.push({ type: 'a', id: String(traceId), size: size });
+            if (id !== null) this.recorder.ids.set(id, String(traceId));
+        }
+        return id;
+    }
+
+    freeAllocation(id) {
+        const freed = this.allocator.free(id);
+        if (freed && this.recorder && this.recorder.ids.has(id)) {
+            this.recorder.trace.ops.push({ type: 'f', id: this.recorder.ids.get(id) });
+            this.recorder.ids.delete(id);
+        }
+        return freed;
+    }
+
+    defragment() {
+        this.allocator.defragment();
+        if (this.recorder) this.recorder.trace.ops.push({ type: 'd' });
+    }
+
+    // The pool was wiped: whatever was recorded is gone, and playback starts over
+    memoryReset() {
+        if (this.recorder) {
+            for (const traceId of this.recorder.ids.values()) {
+                this.recorder.trace.ops.push({ type: 'f', id: traceId });
+            }
+            this.recorder.ids.clear();
+        }
+        if (this.player) {
+            this.pauseTrace();
+            this.player.rewind();
+        }
+    }
+
+    loadTrace() {
+        let trace;
+        try {
+            trace = AllocationTrace.parse(document.getElementById('trace-text').value);
+        } catch (e) {
+            this.showNotification(e.message, 'error');
+            return;
+        }
+        if (trace.ops.length === 0) {
+            this.showNotification('The trace is empty', 'error');
+            return;
+        }
+
+        this.pauseTrace();
+        this.player = new TracePlayer(trace, this.allocator);
+        this.showNotification(`Loaded ${trace.ops.length} operations; memory reset`, 'success');
+        this.render();
+    }
+
+    canPlay() {
+        if (this.recorder) {
+            this.showNotification('Stop recording before playing a trace', 'error');
+            return false;
+        }
+        if (!this.player) {
+            this.showNotification('Load or generate a trace first', 'error');
+            return false;
+        }
+        if (this.player.finished()) {
+            this.showNotification('Trace finished: rewind to play it again', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    stepTrace() {
+        this.lastTraceStep = this.player.step();
+        if (this.player.finished()) {
+            this.pauseTrace();
+            this.showNotification(
+                `Trace finished: ${this.player.failed} failed allocation${this.player.failed === 1 ? '' : 's'}`,
+                this.player.failed ? 'error' : 'success'
+            );
+        }
+        this.render();
+    }
+
+    runTrace() {
+        const speed = parseInt(document.getElementById('trace-speed').value);
+        this.traceTimer = setInterval(() => this.stepTrace(), 1000 / speed);
+        document.getElementById('trace-run-btn').textContent = '⏸ Pause';
+    }
+
+    pauseTrace() {
+        clearInterval(this.traceTimer);
+        this.traceTimer = null;
+        document.getElementById('trace-run-btn').textContent = '▶ Run';
+    }
+
+    // Recording starts from an empty pool so the trace replays exactly
+    startRecording() {
+        this.pauseTrace();
+        this.player = null;
+        this.allocator.reset();
+        this.recorder = { trace: new AllocationTrace(), ids: new Map(), nextId: 1 };
+        document.getElementById('record-btn').textContent = '⏹ Stop Recording';
+        this.showNotification('Recording: memory reset, use Allocate / Free / Defragment', 'success');
+        this.render();
+    }
+
+    stopRecording() {
+        const trace = this.recorder.trace;
+        this.recorder = null;
+        document.getElementById('record-btn').textContent = '⏺ Record';
+        document.getElementById('trace-text').value = trace.toString();
+        this.showNotification(`Recorded ${trace.ops.length} operations`, 'success');
+        this.render();
+    }
+
+    renderTrace() {
+        const status = document.getElementById('trace-status');
+        if (this.recorder) {
+            status.innerHTML = `<span class="recording">● Recording</span> ${this.recorder.trace.ops.length} operations`;
+            return;
+        }
+        if (!this.player) {
+            status.textContent = 'No trace loaded';
+            return;
+        }
+
+        const { ops } = this.player.trace;
+        const summary = this.player.trace.summary();
+        const last = this.player.position > 0 ? this.lastTraceStep : null;
+        status.innerHTML = `
+            <div>
+                Step <strong>${this.player.position} / ${ops.length}</strong>
+                · ${summary.allocations} allocs, ${summary.frees} frees, peak ${summary.peakBytes} B requested
+            </div>
+            <div>
+                ${last ? `Last: <code>${AllocationTrace.formatOp(last.op)}</code>` : ''}
+                ${last && !last.ok ? `<span class="trace-failed">${last.op.type === 'a' ? 'failed' : 'skipped'}</span>` : ''}
+                ${last ? '·' : ''}
+                Next: <code>${this.player.finished() ? 'end of trace' : AllocationTrace.formatOp(ops[this.player.position])}</code>
+                · <span class="${this.player.failed ? 'trace-failed' : ''}">${this.player.failed} failed allocation${this.player.failed === 1 ? '' : 's'}</span>
+                ${this.player.skipped ? ` · ${this.player.skipped} frees of failed allocations skipped` : ''}
+            </div>
+        `;
+    }
+
+    setupComparisonControls() {
+        document.getElementById('compare-btn').addEventListener('click', () => this.startComparison());
+
+        document.getElementById('compare-step-btn').addEventListener('click', () => {
+            if (this.canCompare()) {
+                this.pauseComparison();
+                this.stepComparison();
+            }
+        });
+
+        document.getElementById('compare-run-btn').addEventListener('click', () => {
+            if (this.comparisonTimer) {
+                this.pauseComparison();
+            } else if (this.canCompare()) {
+                this.runComparison();
+            }
+        });
+
+        document.getElementById('compare-finish-btn').addEventListener('click', () => {
+            if (!this.canCompare()) return;
+            this.pauseComparison();
+            while (!this.comparison.finished()) this.comparison.step();
+            this.renderComparison();
+        });
+
+        document.getElementById('export-csv-btn').addEventListener('click', () => {
+            if (!this.comparison) {
+                this.showNotification('Run a comparison first', 'error');
+                return;
+            }
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([this.comparison.toCSV()], { type: 'text/csv' }));
+            link.download = 'allocator-comparison.csv';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+    }
+
+    // A fresh allocator per ticked strategy, with this pool's size and block layout
+    startComparison() {
+        let trace;
+        try {
+            trace = AllocationTrace.parse(document.getElementById('trace-text').value);
+        } catch (e) {
+            this.showNotification(e.message, 'error');
+            return;
+        }
+        const strategies = [...document.querySelectorAll('.compare-strategy:checked')].map(box => box.value);
+        if (trace.ops.length === 0) {
+            this.showNotification('Generate, record or paste a trace first', 'error');
+            return;
+        }
+        if (strategies.length === 0) {
+            this.showNotification('Pick at least one strategy to compare', 'error');
+            return;
+        }
+
+        this.pauseComparison();
+        this.comparison = new StrategyComparison(trace, strategies, {
+            totalSize: this.allocator.totalSize,
+            headerSize: this.allocator.headerSize,
+            footerSize: this.allocator.footerSize,
+            alignment: this.allocator.alignment
+        });
+        this.renderComparison();
+    }
+
+    canCompare() {
+        if (!this.comparison) {
+            this.showNotification('Start a comparison first', 'error');
+            return false;
+        }
+        if (this.comparison.finished()) {
+            this.showNotification('Comparison finished: start it again to replay', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    stepComparison() {
+        this.comparison.step();
+        if (this.comparison.finished()) this.pauseComparison();
+        this.renderComparison();
+    }
+
+    runComparison() {
+        const speed = parseInt(document.getElementById('trace-speed').value);
+        this.comparisonTimer = setInterval(() => this.stepComparison(), 1000 / speed);
+        document.getElementById('compare-run-btn').textContent = '⏸ Pause';
+    }
+
+    pauseComparison() {
+        clearInterval(this.comparisonTimer);
+        this.comparisonTimer = null;
+        document.getElementById('compare-run-btn').textContent = '▶ Run';
+    }
+
+    renderComparison() {
+        const comparison = this.comparison;
+        const { ops } = comparison.trace;
+        const position = comparison.position();
+        document.getElementById('comparison-status').innerHTML = `
+            Step <strong>${position} / ${ops.length}</strong>
+            · Next: <code>${comparison.finished() ? 'end of trace' : AllocationTrace.formatOp(ops[position])}</code>
+        `;
+
+        // Grids side by side
+        const grids = document.getElementById('comparison-grids');
+        grids.innerHTML = '';
+        for (const run of comparison.runs) {
+            const stats = run.allocator.getStats();
+            const panel = document.createElement('div');
+            panel.className = 'comparison-panel';
+            panel.innerHTML = `
+                <div class="comparison-title">
+                    <span class="class-swatch" style="background: ${this.strategyColor(run.strategy)};"></span>
+                    <strong>${STRATEGY_NAMES[run.strategy]}</strong>
+                    <span>${stats.fragmentation.toFixed(1)}% ext · ${run.player.failed} failed</span>
+                </div>
+            `;
+            const grid = document.createElement('div');
+            grid.className = 'memory-grid comparison-grid';
+            this.renderMemoryGrid(grid, run.allocator, true);
+            panel.appendChild(grid);
+            grids.appendChild(panel);
+        }
+
+        // One chart per metric, one line per strategy
+        const charts = document.getElementById('comparison-charts');
+        if (charts.children.length !== COMPARISON_METRICS.length) {
+            charts.innerHTML = COMPARISON_METRICS.map(metric => `
+                <div class="comparison-chart">
+                    <div class="comparison-chart-title">${metric.label}</div>
+                    <canvas width="480" height="200" data-metric="${metric.key}"></canvas>
+                </div>
+            `).join('');
+        }
+        charts.querySelectorAll('canvas').forEach(canvas => this.drawComparisonChart(canvas, canvas.dataset.metric));
+
+        // Summary so far
+        const rows = comparison.summary();
+        document.getElementById('comparison-summary').innerHTML = `
+            <table class="size-class-table comparison-table">
+                <thead>
+                    <tr>${COMPARISON_COLUMNS.map(column => `<th>${column.label}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>${COMPARISON_COLUMNS.map(column => `<td>${
+                            column.digits === undefined ? row[column.key] : row[column.key].toFixed(column.digits)
+                        }</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    drawComparisonChart(canvas, key) {
+        const ctx = canvas.getContext('2d');
+        const runs = this.comparison.runs;
+        const steps = this.comparison.trace.ops.length;
+        const pad = { left: 44, right: 10, top: 10, bottom: 22 };
+        const width = canvas.width - pad.left - pad.right;
+        const height = canvas.height - pad.top - pad.bottom;
+        const max = runs.reduce((most, run) => run.history.reduce((m, sample) => Math.max(m, sample[key]), most), 1);
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Axes with the y range and operation count
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, pad.top + height);
+        ctx.lineTo(pad.left + width, pad.top + height);
+        ctx.stroke();
+        ctx.fillStyle = '#aaa';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(Number.isInteger(max) ? max : max.toFixed(1), pad.left - 6, pad.top + 8);
+        ctx.fillText('0', pad.left - 6, pad.top + height);
+        ctx.fillText(`${steps} ops`, pad.left + width, pad.top + height + 16);
+
+        for (const run of runs) {
+            ctx.strokeStyle = this.strategyColor(run.strategy);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            run.history.forEach((sample, i) => {
+                const x = pad.left + (i / steps) * width;
+                const y = pad.top + height - (sample[key] / max) * height;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        }
+    }
+
+    strategyColor(strategy) {
+        const index = Object.keys(STRATEGY_NAMES).indexOf(strategy);
+        return `hsl(${(index * 360) / Object.keys(STRATEGY_NAMES).length + 200}, 70%, 60%)`;
+    }
+
     render() {
         this.renderMemoryGrid();
+        this.renderBuddyTree();
         this.renderStats();
         this.renderAllocationList();
+        this.renderTrace();
     }
 
-    renderMemoryGrid() {
-        const grid = document.getElementById('memory-grid');
+    // The pool drawn by address, one cell per blockSize bytes. A cell covering
+    // several kinds of bytes (say header and payload) is split in proportion.
+    // Compact grids (the comparison panels) drop the labels and click-to-free.
+    renderMemoryGrid(grid = document.getElementById('memory-grid'), allocator = this.allocator, compact = false) {
         grid.innerHTML = '';
 
         const blocksPerRow = 32;
-        const totalBlocks = Math.ceil(this.allocator.totalSize / this.blockSize);
+        const totalBlocks = Math.ceil(allocator.totalSize / this.blockSize);
+        const allocSize = parseInt(document.getElementById('alloc-size').value);
+        const regions = allocator.blocks.flatMap(memBlock =>
+            allocator.blockLayout(memBlock).map(region => ({ ...region, block: memBlock }))
+        );
 
-        let currentBlockIndex = 0;
         let row = null;
+        let first = 0; // First region that may still overlap the current cell
+        for (let i = 0; i < totalBlocks; i++) {
+            if (i % blocksPerRow === 0) {
+                row = document.createElement('div');
+                row.className = 'memory-row';
+                grid.appendChild(row);
+            }
 
-        for (const memBlock of this.allocator.blocks) {
-            const numBlocks = Math.ceil(memBlock.size / this.blockSize);
-
-            for (let i = 0; i < numBlocks; i++) {
-                if (currentBlockIndex % blocksPerRow === 0) {
-                    row = document.createElement('div');
-                    row.className = 'memory-row';
-                    grid.appendChild(row);
-                }
+            const from = i * this.blockSize;
+            const to = from + this.blockSize;
+            while (first < regions.length && regions[first].start + regions[first].size <= from) first++;
+            const parts = [];
+            for (let r = first; r < regions.length && regions[r].start < to; r++) {
+                const region = regions[r];
+                parts.push({ region, bytes: Math.min(to, region.start + region.size) - Math.max(from, region.start) });
+            }
 
-                const block = document.createElement('div');
-                block.className = 'memory-block';
+            const cell = this.describeCell(parts, allocSize, allocator);
+            const block = document.createElement('div');
+            block.className = 'memory-block';
+            block.classList.add(...cell.classes);
+            if (cell.text && !compact) block.textContent = cell.text;
+            if (cell.color) block.style.setProperty('--class-color', cell.color);
+            if (cell.background) block.style.background = cell.background;
+
+            const tooltip = document.createElement('div');
+            tooltip.className = 'tooltip';
+            tooltip.textContent = cell.tooltip;
+            block.appendChild(tooltip);
+
+            // Click to free
+            if (cell.id && !compact) {
+                block.style.cursor = 'pointer';
+                block.addEventListener('click', () => {
+                    this.freeAllocation(cell.id);
+                    this.showNotification(`Freed allocation ${cell.id}`, 'success');
+                    this.render();
+                });
+            }
 
-                if (memBlock.allocated) {
-                    block.classList.add('allocated');
-                    block.textContent = memBlock.id;
-                } else if (memBlock.size < parseInt(document.getElementById('alloc-size').value)) {
-                    block.classList.add('fragmented');
-                } else {
-                    block.classList.add('free');
-                }
+            row.appendChild(block);
+        }
+    }
 
-                const tooltip = document.createElement('div');
-                tooltip.className = 'tooltip';
-                tooltip.textContent = memBlock.allocated
-                    ? `ID: ${memBlock.id}, ${memBlock.size}B allocated`
-                    : `${memBlock.size}B free`;
-                block.appendChild(tooltip);
-
-                // Click to free
-                if (memBlock.allocated) {
-                    block.style.cursor = 'pointer';
-                    block.addEventListener('click', () => {
-                        this.allocator.free(memBlock.id);
-                        this.showNotification(`Freed allocation ${memBlock.id}`, 'success');
-                        this.render();
-                    });
-                }
+    // Classes, label, tooltip and click target for a cell from the regions it
+    // covers; mixed cells get a hard-stop gradient, one stop per region
+    describeCell(parts, allocSize, allocator) {
+        const looks = parts.map(({ region }) => this.regionLook(region, allocSize, allocator));
+        const uniform = looks.every(look => look.classes.join(' ') === looks[0].classes.join(' ') && look.color === looks[0].color);
+        const owner = parts
+            .filter(part => part.region.id)
+            .sort((a, b) => b.bytes - a.bytes)[0];
+        const payload = parts.find(part => part.region.kind === 'payload');
+
+        let background = null;
+        if (!uniform) {
+            const total = parts.reduce((sum, part) => sum + part.bytes, 0);
+            let at = 0;
+            background = `linear-gradient(to right, ${parts.map((part, n) => {
+                const stop = `${looks[n].flat} ${(at / total) * 100}% ${((at + part.bytes) / total) * 100}%`;
+                at += part.bytes;
+                return stop;
+            }).join(', ')})`;
+        }
+        return {
+            classes: uniform ? looks[0].classes : ['mixed'],
+            color: looks[0].color,
+            background: background,
+            text: payload ? payload.region.id : '',
+            tooltip: [...new Set(parts.map(part => this.describeRegion(part.region, allocator)))].join(' | '),
+            id: owner ? owner.region.id : null
+        };
+    }
 
-                row.appendChild(block);
-                currentBlockIndex++;
+    // CSS classes for a region on its own, plus a flat colour for mixed cells
+    regionLook(region, allocSize, allocator) {
+        const color = region.sizeClass ? this.sizeClassColor(region.sizeClass) : null;
+        switch (region.kind) {
+            case 'payload':
+                return { classes: color ? ['slab', 'allocated'] : ['allocated'], color, flat: color || '#667eea' };
+            case 'padding':
+                return { classes: color ? ['slab', 'allocated', 'internal'] : ['allocated', 'internal'], color, flat: '#3d4a8a' };
+            case 'header':
+                return { classes: ['header'], flat: '#f39c12' };
+            case 'footer':
+                return { classes: ['footer'], flat: '#e67e22' };
+            case 'reserved':
+                return { classes: ['reserved'], flat: '#555555' };
+            case 'free-object':
+                return { classes: ['slab', 'slab-free'], color, flat: '#1a1a2e' };
+            case 'slab-waste':
+                return { classes: ['slab', 'slab-waste'], color, flat: '#0a0a0a' };
+            default: {
+                const tooSmall = region.block.size < allocator.blockSizeFor(allocSize);
+                return { classes: [tooSmall ? 'fragmented' : 'free'], flat: tooSmall ? '#c0392b' : '#2d3436' };
             }
         }
     }
 
+    describeRegion(region, allocator) {
+        const memBlock = region.block;
+        if (region.kind === 'reserved') {
+            return `${memBlock.size}B ${memBlock.reserved}: keeps payloads ${allocator.alignment}-byte aligned`;
+        }
+        if (memBlock.slab) {
+            const sizeClass = memBlock.slab.sizeClass;
+            if (region.kind === 'slab-waste') return `${sizeClass}B slab at ${memBlock.start}: ${region.size}B tail waste`;
+            if (region.kind === 'free-object') return `Free ${sizeClass}B object at ${region.start}`;
+            const object = memBlock.slab.objects.find(o => o && o.id === region.id);
+            return `ID: ${object.id}, ${object.requested}B in a ${sizeClass}B object`;
+        }
+        if (!memBlock.allocated) return `${memBlock.size}B free at ${memBlock.start}`;
+
+        const layout = allocator.blockLayout(memBlock)
+            .map(r => `${r.size}B ${r.kind}`)
+            .join(', ');
+        return `ID: ${memBlock.id}, ${memBlock.size}B block at ${memBlock.start} (${layout})`;
+    }
+
+    sizeClassColor(size) {
+        const index = this.allocator.sizeClasses.indexOf(size);
+        return `hsl(${(index * 360) / this.allocator.sizeClasses.length}, 65%, 55%)`;
+    }
+
+    // Buddy strategy only: the binary split tree, one box per node, halves side by side
+    renderBuddyTree() {
+        const container = document.getElementById('buddy-tree');
+        if (this.allocator.strategy !== 'buddy') {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const renderNode = (node) => {
+            const state = node.children ? 'split' : node.block.allocated ? 'allocated' : 'free';
+            const label = node.block && node.block.allocated ? `#${node.block.id}` : `${node.size}B`;
+            const title = node.children
+                ? `${node.size}B at ${node.start}, split into two ${node.size / 2}B buddies`
+                : `${node.size}B at ${node.start}, ${node.block.allocated ? `ID ${node.block.id} (${node.block.requested}B requested)` : 'free'}`;
+            return `
+                <div class="buddy-node" style="flex-grow: ${node.size};">
+                    <div class="buddy-box ${state}" title="${title}">${label}</div>
+                    ${node.children ? `<div class="buddy-children">${node.children.map(renderNode).join('')}</div>` : ''}
+                </div>
+            `;
+        };
+
+        container.style.display = 'flex';
+        container.innerHTML = this.allocator.buddyTree().map(renderNode).join('');
+    }
+
     renderStats() {
         const stats = this.allocator.getStats();
+        this.renderSizeClassStats(stats);
 
         document.getElementById('stat-total').textContent = `${stats.totalSize} B`;
         document.getElementById('stat-used').textContent = `${stats.allocated} B`;
         document.getElementById('stat-free').textContent = `${stats.free} B`;
         document.getElementById('stat-frag').textContent = `${stats.fragmentation.toFixed(1)}%`;
+        document.getElementById('stat-internal').textContent =
+            `${stats.internalFragmentation.toFixed(1)}% (${stats.internalWaste} B)`;
+        document.getElementById('stat-overhead').textContent = `${stats.overheadPercent.toFixed(1)}% (${stats.overhead} B)`;
+        document.getElementById('stat-overhead-detail').textContent =
+            `${stats.headerBytes} B tags · ${stats.internalWaste} B padding · ${stats.reserved} B reserved`;
         document.getElementById('stat-allocs').textContent = stats.allocations;
         document.getElementById('stat-blocks').textContent = stats.freeBlocks;
     }
 
+    // Segregated fits only: occupancy and slab waste per size class
+    renderSizeClassStats(stats) {
+        const container = document.getElementById('size-class-stats');
+        if (this.allocator.strategy !== 'segregated') {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = stats.sizeClasses.map(c => `
+            <tr>
+                <td><span class="class-swatch" style="background: ${this.sizeClassColor(c.size)};"></span>${c.size} B</td>
+                <td>${c.slabs}</td>
+                <td>${c.used} / ${c.objects}</td>
+                <td>
+                    <div class="occupancy-bar"><div style="width: ${c.occupancy}%; background: ${this.sizeClassColor(c.size)};"></div></div>
+                    ${c.objects ? `${c.occupancy.toFixed(0)}%` : '—'}
+                </td>
+                <td>${c.slabWaste} B</td>
+            </tr>
+        `).join('');
+        container.style.display = 'block';
+        container.innerHTML = `
+            <h3>Size Classes (${this.allocator.slabSize}-byte slabs)</h3>
+            <table class="size-class-table">
+                <tr><th>Class</th><th>Slabs</th><th>Objects used</th><th>Occupancy</th><th>Slab waste</th></tr>
+                ${rows}
+            </table>
+            <p class="size-class-summary">
+                ${stats.slabFree} B sit on free lists and ${stats.slabWaste} B are slab tails too small for an object;
+                neither can serve a request of another size class.
+            </p>
+        `;
+    }
+
     renderAllocationList() {
         const list = document.getElementById('allocation-list');
         list.innerHTML = '';
@@ -378,9 +1634,10 @@ class AllocatorUI {
             item.innerHTML = `
                 <div>
                     <strong>ID ${alloc.id}</strong> - ${alloc.size} bytes
+                    ${alloc.blockSize !== alloc.size ? `<span style="color: #aaa;"> in a ${alloc.blockSize}-byte block</span>` : ''}
                     ${alloc.freed ? '<span style="color: #e74c3c;"> (FREED)</span>' : ''}
                 </div>
-                ${!alloc.freed ? `<button class="danger" style="padding: 5px 12px; font-size: 0.9em;" onclick="allocatorUI.allocator.free(${alloc.id}); allocatorUI.render();">Free</button>` : ''}
+                ${!alloc.freed ? `<button class="danger" style="padding: 5px 12px; font-size: 0.9em;" onclick="allocatorUI.freeAllocation(${alloc.id}); allocatorUI.render();">Free</button>` : ''}
             `;
 
             list.appendChild(item);